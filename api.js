@@ -0,0 +1,102 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// device methods return an Error instead of throwing it
+const result = (value) => {
+  if (value instanceof Error) throw value;
+  return value;
+};
+
+// commands of POST /cars/:id/commands/:command, with the request body as options. They go through the command queue.
+const COMMANDS = {
+  lock: (device) => device.lock(true, 'api'),
+  unlock: (device) => device.lock(false, 'api'),
+  unlock_for: (device, body) => device.unlockFor(body.minutes, 'api'), // body: { minutes: 1-60 }, locks again after that
+  climate_on: (device, body) => device.startClimate(body, 'api'), // body: climate options like { temperature, duration, defrost }
+  climate_off: (device) => device.acOnOff(false, 'api'),
+  charge_on: (device) => device.chargingOnOff(true, 'api'),
+  charge_off: (device) => device.chargingOnOff(false, 'api'),
+  charge_targets: (device, body) => device.setChargeTargets(body, 'api'), // body: { slow, fast }
+  charge_current_limit: (device, body) => device.setChargingCurrentLimit(body.limit, 'api'), // body: { limit: 100, 90 or 60 }
+  v2l_limit: (device, body) => device.setV2lLimit(body.limit, 'api'), // body: { limit: 20-80 }
+  destination: (device, body) => device.setDestination(body.destination, 'api'), // body: { destination }
+  refresh: (device) => device.refreshStatus(true, 'api'),
+};
+
+// Homey Web API of the app, at /api/app/<app id>/. Requests need a Homey bearer token.
+module.exports = {
+
+  // accounts and cars with their login state, polls, queue and recent errors, for the app settings
+  async getDiagnostics({ homey }) {
+    return homey.app.getDiagnostics();
+  },
+
+  // login again on the account of the car, for all cars on the account
+  async login({ homey, params }) {
+    const device = homey.app.getDevice(params.id);
+    if (!device.account) throw Error('The car has no account session; it is restarting');
+    device.log(`Login via settings for ${device.getName()}`);
+    await device.account.login();
+    return true;
+  },
+
+  async clearQueue({ homey, params }) {
+    homey.app.getDevice(params.id).clearQueue('settings');
+    return true;
+  },
+
+  async getCars({ homey }) {
+    return homey.app.getDevices().map((device) => ({
+      id: device.getData().id,
+      name: device.getName(),
+      engine: device.getSettings().engine,
+    }));
+  },
+
+  async getStatus({ homey, params }) {
+    return homey.app.getDevice(params.id).getApiStatus();
+  },
+
+  async runCommand({ homey, params, body }) {
+    const command = COMMANDS[params.command];
+    if (!command) throw Error(`Unknown command: ${params.command}. Use ${Object.keys(COMMANDS).join(', ')}`);
+    const done = result(await command(homey.app.getDevice(params.id), body || {}));
+    return { command: params.command, queued: done === true };
+  },
+
+  async getTrips({ homey, params }) {
+    return homey.app.getDevice(params.id).getTripHistory();
+  },
+
+  // query period: month, last_month or all (default)
+  async getChargeSessions({ homey, params, query }) {
+    const device = homey.app.getDevice(params.id);
+    if (!device.isEV) throw Error('Not an EV');
+    const period = query?.period || 'all';
+    return { ...device.exportChargeSessions(period), sessions: device.getChargeSessions(period) };
+  },
+
+  // raw status snapshots of a car, without credentials, for a bug report
+  async getSnapshots({ homey, params }) {
+    return homey.app.getDevice(params.id).exportSnapshots();
+  },
+
+};
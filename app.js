@@ -20,6 +20,20 @@ along with com.kia. If not, see <http://www.gnu.org/licenses/>.
 'use strict';
 
 const Homey = require('homey');
+const AccountManager = require('./lib/account_manager');
+const CredentialStore = require('./lib/credentials');
+const geo = require('./lib/nomatim');
+
+// climate options from the start_climate and save_climate_preset flow cards
+const climateOptions = (args) => ({
+  temperature: args.temperature,
+  duration: args.duration,
+  driverSeat: args.driver_seat,
+  passengerSeat: args.passenger_seat,
+  steeringWheel: args.steering_wheel,
+  rearWindow: args.rear_window,
+  defrost: args.defrost,
+});
 
 module.exports = class MyApp extends Homey.App {
 
@@ -29,11 +43,31 @@ module.exports = class MyApp extends Homey.App {
       await this.homey.notifications.createNotification({ excerpt });
       throw Error('This app only works with Node V18+');
     }
+    // one login session per Kia/Hyundai account, shared by the cars on it
+    this.accounts = new AccountManager(Homey.env?.CLIENT_MODE, this.homey.settings);
+    // logins of the accounts, encrypted with a key that is bound to this Homey
+    const homeyId = await this.homey.cloud.getHomeyId();
+    this.credentials = new CredentialStore(this.homey.settings, `${this.homey.manifest.id}:${homeyId}`);
+    // addresses of car locations are cached in the app settings
+    geo.setup({ store: this.homey.settings, userAgent: `Homey ${this.homey.manifest.id}/${this.homey.manifest.version}` });
     this.registerFlowListeners();
     this.log('App has been initialized');
   }
 
   registerFlowListeners() {
+    // trigger cards
+    const zoneEntered = this.homey.flow.getDeviceTriggerCard('zone_entered');
+    zoneEntered.registerArgumentAutocompleteListener('zone', (query, args) => args.device.getZoneAutocomplete(query));
+    zoneEntered.registerRunListener((args, state) => args.zone.name.toLowerCase() === state.zone.toLowerCase());
+
+    const zoneLeft = this.homey.flow.getDeviceTriggerCard('zone_left');
+    zoneLeft.registerArgumentAutocompleteListener('zone', (query, args) => args.device.getZoneAutocomplete(query));
+    zoneLeft.registerRunListener((args, state) => args.zone.name.toLowerCase() === state.zone.toLowerCase());
+
+    // fires once per card, when the unlocked time passes its minutes
+    const unlockedTooLong = this.homey.flow.getDeviceTriggerCard('unlocked_too_long');
+    unlockedTooLong.registerRunListener((args, state) => state.previous < args.minutes && state.minutes >= args.minutes);
+
     // action cards
     const forcePoll = this.homey.flow.getActionCard('force_refresh');
     forcePoll.registerRunListener((args) => args.device.refreshStatus(true, 'flow'));
@@ -56,15 +90,63 @@ module.exports = class MyApp extends Homey.App {
     const defrostOn = this.homey.flow.getActionCard('defrost_on');
     defrostOn.registerRunListener((args) => args.device.defrostOnOff(true, 'flow'));
 
+    const startClimate = this.homey.flow.getActionCard('start_climate');
+    startClimate.registerRunListener((args) => args.device.startClimate(climateOptions(args), 'flow'));
+
+    const saveClimatePreset = this.homey.flow.getActionCard('save_climate_preset');
+    saveClimatePreset.registerRunListener((args) => args.device.saveClimatePreset(args.name, climateOptions(args), 'flow'));
+
+    const startClimatePreset = this.homey.flow.getActionCard('start_climate_preset');
+    startClimatePreset.registerArgumentAutocompleteListener('preset', (query, args) => args.device.getClimatePresetAutocomplete(query));
+    startClimatePreset.registerRunListener((args) => args.device.startClimatePreset(args.preset.name, 'flow'));
+
     const setTargetTemp = this.homey.flow.getActionCard('set_target_temp');
     setTargetTemp.registerRunListener((args) => args.device.setTargetTemp(args.temp, 'flow'));
 
     const setChargeTargets = this.homey.flow.getActionCard('set_charge_targets');
-    setChargeTargets.registerRunListener((args) => args.device.setChargeTargets(args, 'flow'));
+    setChargeTargets.registerRunListener((args) => args.device.setChargeTargets({ slow: args.slow, fast: args.fast }, 'flow'));
+
+    const setChargeCurrentLimit = this.homey.flow.getActionCard('set_charge_current_limit');
+    setChargeCurrentLimit.registerRunListener((args) => args.device.setChargingCurrentLimit(args.limit, 'flow'));
+
+    const setV2lLimit = this.homey.flow.getActionCard('set_v2l_limit');
+    setV2lLimit.registerRunListener((args) => args.device.setV2lLimit(args.limit, 'flow'));
+
+    const autoLock = this.homey.flow.getActionCard('auto_lock');
+    autoLock.registerRunListener((args) => args.device.autoLock(args.grace, 'flow'));
+
+    const unlockFor = this.homey.flow.getActionCard('unlock_for');
+    unlockFor.registerRunListener((args) => args.device.unlockFor(args.minutes, 'flow'));
 
     const setDestination = this.homey.flow.getActionCard('set_destination');
     setDestination.registerRunListener((args) => args.device.setDestination(args.destination, 'flow'));
 
+    const getTripTotals = this.homey.flow.getActionCard('get_trip_totals');
+    getTripTotals.registerRunListener((args) => args.device.getTripTotals(args.period));
+
+    const exportChargeSessions = this.homey.flow.getActionCard('export_charge_sessions');
+    exportChargeSessions.registerRunListener((args) => args.device.exportChargeSessions(args.period));
+
+    const checkTrip = this.homey.flow.getActionCard('check_trip');
+    checkTrip.registerRunListener((args) => args.device.checkTrip(args.destination));
+
+    const planCharging = this.homey.flow.getActionCard('plan_charging');
+    planCharging.registerRunListener((args) => args.device.planCharging({ target: args.target, readyBy: args.ready_by, prices: args.prices }, 'flow'));
+
+    const cancelChargePlan = this.homey.flow.getActionCard('cancel_charge_plan');
+    cancelChargePlan.registerRunListener((args) => args.device.cancelChargePlan('flow'));
+
+    const setDepartureTimer = this.homey.flow.getActionCard('set_departure_timer');
+    setDepartureTimer.registerRunListener((args) => args.device.setDepartureTimer(Number(args.timer), {
+      time: args.time, days: args.days, climate: args.climate, temperature: args.temperature, defrost: args.defrost,
+    }, 'flow'));
+
+    const departureTimerOff = this.homey.flow.getActionCard('departure_timer_off');
+    departureTimerOff.registerRunListener((args) => args.device.setDepartureTimer(Number(args.timer), null, 'flow'));
+
+    const setOffPeakCharging = this.homey.flow.getActionCard('set_offpeak_charging');
+    setOffPeakCharging.registerRunListener((args) => args.device.setOffPeakCharging({ mode: args.mode, start: args.start, end: args.end }, 'flow'));
+
     // condition cards
     const alarmBattery = this.homey.flow.getConditionCard('alarm_bat');
     alarmBattery.registerRunListener((args) => args.device.getCapabilityValue('alarm_bat'));
@@ -93,6 +175,40 @@ module.exports = class MyApp extends Homey.App {
     const parked = this.homey.flow.getConditionCard('parked');
     parked.registerRunListener((args) => !args.device.getCapabilityValue('engine'));
 
+    const isOpen = this.homey.flow.getConditionCard('is_open');
+    isOpen.registerRunListener((args) => args.device.isOpen(args.opening));
+
+    const inZone = this.homey.flow.getConditionCard('in_zone');
+    inZone.registerArgumentAutocompleteListener('zone', (query, args) => args.device.getZoneAutocomplete(query));
+    inZone.registerRunListener((args) => args.device.isInZone(args.zone.name));
+
+    const canReach = this.homey.flow.getConditionCard('can_reach');
+    canReach.registerRunListener(async (args) => (await args.device.checkTrip(args.destination)).reachable);
+
+  }
+
+  // accounts and cars with their state, for the app settings
+  getDiagnostics() {
+    // login and server errors can hold the login of the account
+    const scrub = (error) => error && { ...error, message: this.credentials.scrub([error.message])[0] };
+    return {
+      accounts: this.accounts.list().map((account) => ({ ...account, lastError: scrub(account.lastError) })),
+      cars: this.getDevices().map((device) => {
+        const diagnostics = device.getDiagnostics();
+        return { ...diagnostics, recentErrors: diagnostics.recentErrors.map(scrub) };
+      }),
+    };
+  }
+
+  getDevices() {
+    return this.homey.drivers.getDriver('car').getDevices();
+  }
+
+  // the car device with the id (the VIN) from a Web API request
+  getDevice(id) {
+    const device = this.getDevices().find((car) => car.getData().id === id);
+    if (!device) throw Error(`Car not found: ${id}`);
+    return device;
   }
 
 };
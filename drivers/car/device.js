@@ -20,16 +20,38 @@ along with com.kia. If not, see <http://www.gnu.org/licenses/>.
 'use strict';
 
 const Homey = require('homey');
-const { BlueLinky } = require('bluelinky');
 const GeoPoint = require('geopoint');
 const util = require('util');
 const geo = require('../../lib/nomatim');
 const convert = require('../../lib/temp_convert');
+const climate = require('../../lib/climate');
+const departure = require('../../lib/departure');
+const tripLog = require('../../lib/trip_log');
+const geofence = require('../../lib/zones');
+const planner = require('../../lib/charge_planner');
+const rangePlanner = require('../../lib/range_planner');
+const chargeSessions = require('../../lib/charge_sessions');
+const openings = require('../../lib/openings');
+const snapshots = require('../../lib/snapshots');
+const tyres = require('../../lib/tyres');
+const chargeLimits = require('../../lib/charge_limits');
+const energy = require('../../lib/energy');
+const outcomes = require('../../lib/outcomes');
+const { maskUsername } = require('../../lib/credentials');
 
 const setTimeoutPromise = util.promisify(setTimeout);
 
 class CarDevice extends Homey.Device {
 
+  // nothing that identifies the account ends up in the app log, where users copy it from for bug reports
+  log(...args) {
+    super.log(...(this.homey?.app?.credentials?.scrub(args) || args));
+  }
+
+  error(...args) {
+    super.error(...(this.homey?.app?.credentials?.scrub(args) || args));
+  }
+
   // this method is called when the Device is inited
   async onInit() {
     // this.log('device init: ', this.getName(), 'id:', this.getData().id);
@@ -40,18 +62,12 @@ class CarDevice extends Homey.Device {
       this.setupQueue();
       await this.setupClient();
       this.startListeners();
-
-      // testing stuff
-      // const tripInfo = await this.vehicle.tripInfo({ year: 2025, month: 7, day: 2 });
-      // const monthlyReport = await this.vehicle.monthlyReport({ year: 2025, month: 6 });
-      // console.log(this.getName());
-      // console.log(util.inspect(tripInfo, true, 10, true));
-      // console.log(monthlyReport);
-
+      this.scheduleChargePlan();
       await this.startPolling(this.settings.pollInterval);
     } catch (error) {
       this.error(error);
-      this.restartDevice(10 * 60 * 1000).catch((error) => this.error(error));
+      this.noteError(error);
+      this.restartDevice(10 * 60 * 1000, `init failed: ${error.message || error}`).catch((error) => this.error(error));
     }
   }
 
@@ -60,7 +76,7 @@ class CarDevice extends Homey.Device {
       this.log(`checking device migration for ${this.getName()}`);
       // store the capability states before migration
       const sym = Object.getOwnPropertySymbols(this).find((s) => String(s) === 'Symbol(state)');
-      const state = this[sym];
+      const state = { ...this[sym] }; // copy, removeCapability drops the value
       // check and repair incorrect capability(order)
       const correctCaps = this.driver.capabilitiesMap[this.getSettings().engine];
       for (let index = 0; index <= correctCaps.length; index += 1) {
@@ -99,31 +115,70 @@ class CarDevice extends Homey.Device {
     this.vehicle = null;
     this.pollMode = 0; // 0: normal, 1: engineOn with refresh
     this.isEV = this.hasCapability('ev_charging_state');
+    this.tempUnit = convert.unitFor(this.settings.region, this.settings.temperatureUnit);
     this.lastStatus = this.getStoreValue('lastStatus');
     this.parkLocation = this.getStoreValue('parkLocation') || { latitude: 0, longitude: 0 };
+    this.zones = this.getZones();
+    this.geoOptions = { provider: this.settings.geoProvider, url: this.settings.geoServer, places: this.zones };
+    this.currentZones = this.getStoreValue('currentZones') || [];
+    this.openItems = this.getStoreValue('lastStatus')?.openItems || [];
+    this.tirePressure = this.getStoreValue('lastStatus')?.tire_pressure || 'ok';
+    this.timedUnlock = this.getStoreValue('timedUnlock') || null;
+    this.unlockedSince = this.getStoreValue('unlockedSince') || null;
+    this.leftOpenReported = this.getStoreValue('leftOpenReported') || []; // open items that triggered 'left open'
+    this.confirmations = []; // commands that wait for the car status to show their outcome
     this.watchDogCounter = 6;
     this.busy = false;
     this.restarting = false;
+    this.recentErrors = this.recentErrors || []; // kept over a restart, to see why it restarted
   }
 
   // stuff for queue handling here
   setupQueue() {
-    // queue properties
-    this.queue = [];
-    this.head = 0;
-    this.tail = 0;
+    const backgroundCommands = ['doPoll', 'updateTrips']; // low priority commands that are handled by the device itself
+    const deviceCommands = ['start', 'setDepartureSchedule', 'setChargingCurrent', 'setDischargeLimit', 'unlockTimed']; // user commands that are handled by the device itself
+    const maxQueueSize = 20;
+    const maxCommandAge = 30 * 60 * 1000; // user commands that waited longer than this are not executed anymore
+    // queue properties; pending user commands survive a restart
+    this.queue = (this.getStoreValue('queue') || []).filter((item) => !backgroundCommands.includes(item.command));
     this.queueRunning = false;
+    const saveQueue = () => {
+      const userItems = this.queue.filter((item) => !backgroundCommands.includes(item.command));
+      this.setStoreValue('queue', userItems).catch((error) => this.error(error));
+    };
+    // trigger flows with the result of a user command
+    const commandResult = (item, error) => {
+      if (backgroundCommands.includes(item.command)) return;
+      const tokens = { command: item.command };
+      if (error) tokens.error = String(error.body || error.message || error);
+      this.homey.flow.getDeviceTriggerCard(error ? 'command_failed' : 'command_succeeded')
+        .trigger(this, tokens)
+        .catch(this.error);
+    };
     this.enQueue = (item) => {
       if (this.disabled) {
         this.log('ignoring command; Homey live link is disabled.');
         return;
       }
-      if (this.tail >= 10) {
-        this.error('queue overflow');
+      if (backgroundCommands.includes(item.command)) {
+        // merge with the same background command that is already waiting
+        const queued = this.queue.find((queuedItem) => queuedItem.command === item.command);
+        if (queued) {
+          const args = { ...queued.args };
+          Object.entries(item.args || {}).forEach(([key, value]) => {
+            args[key] = typeof value === 'boolean' ? args[key] || value : value;
+          });
+          queued.args = args;
+          return;
+        }
+      }
+      if (this.queue.length >= maxQueueSize) {
+        this.error('queue overflow', item.command);
+        commandResult(item, Error('queue overflow'));
         return;
       }
-      this.queue[this.tail] = item;
-      this.tail += 1;
+      this.queue.push({ ...item, added: Date.now() });
+      saveQueue();
       if (!this.queueRunning) {
         // await this.client.login(); // not needed with autoLogin: true
         this.queueRunning = true;
@@ -131,56 +186,75 @@ class CarDevice extends Homey.Device {
       }
     };
     this.deQueue = () => {
-      const size = this.tail - this.head;
-      if (size <= 0) return undefined;
-      const item = this.queue[this.head];
-      delete this.queue[this.head];
-      this.head += 1;
-      // Reset the counter
-      if (this.head === this.tail) {
-        this.head = 0;
-        this.tail = 0;
-      }
+      if (!this.queue.length) return undefined;
+      // user commands go before background commands
+      let index = this.queue.findIndex((item) => !backgroundCommands.includes(item.command));
+      if (index < 0) index = 0;
+      const [item] = this.queue.splice(index, 1);
+      saveQueue();
       return item;
     };
     this.flushQueue = () => {
+      // pending user commands stay in the store, and are restored by setupQueue
       this.queue = [];
-      this.head = 0;
-      this.tail = 0;
       this.queueRunning = false;
       this.log('Queue is flushed');
     };
+    this.clearQueue = (source) => {
+      // drop all waiting commands, also the stored ones. A running command finishes.
+      this.queue = [];
+      saveQueue();
+      this.log(`Queue is cleared via ${source}`);
+    };
     this.runQueue = async () => {
       try {
         this.busy = true;
         this.queueRunning = true;
         const item = this.deQueue();
         if (item) {
-          if (!this.vehicle || !this.vehicle.vehicleConfig) {
+          if (!this.account || !this.vehicle || !this.vehicle.vehicleConfig) {
             this.watchDogCounter -= 2;
+            commandResult(item, Error('not logged in'));
             throw Error('Ignoring queued command; not logged in');
           }
+          if ((Date.now() - item.added) > maxCommandAge) {
+            this.error(`${item.command} expired`);
+            commandResult(item, Error('command expired'));
+            this.runQueue().catch((error) => this.error(error));
+            return;
+          }
           const itemWait = {
             doPoll: 5,
             start: 65,
             stop: 5,
             lock: 5,
             unlock: 5,
+            unlockTimed: 5,
             setChargeTargets: 25,
             startCharge: 25,
             stopCharge: 5,
             setNavigation: 65,
+            setDepartureSchedule: 25,
+            setChargingCurrent: 25,
+            setDischargeLimit: 25,
+            updateTrips: 5,
           };
           this.lastCommand = item.command;
           let methodClass = this.vehicle;
-          if (item.command === 'doPoll') {
+          if (backgroundCommands.includes(item.command) || deviceCommands.includes(item.command)) {
             // eslint-disable-next-line @typescript-eslint/no-this-alias
             methodClass = this;
           }
-          await methodClass[item.command](item.args)
+          if (backgroundCommands.includes(item.command) && !this.account.hasBudget()) {
+            this.log(`Skipping ${item.command}; the request budget of the account is used up`);
+            this.runQueue().catch((error) => this.error(error));
+            return;
+          }
+          const failure = await this.account.request(() => methodClass[item.command](item.args))
             .then(() => {
               this.watchDogCounter = 6;
               this.setAvailable().catch(this.error);
+              return null;
             })
             .catch(async (error) => {
               const msg = error.body || error.message || error;
@@ -189,8 +263,8 @@ class CarDevice extends Homey.Device {
               if (msg && (msg.includes('"resCode":"4002"') || msg.includes('"resCode":"4004"'))) {
                 this.log(`${item.command} failed. Retrying in 60 seconds`);
                 await setTimeoutPromise(60 * 1000, 'waiting is done');
-                if (this.settings.loginOnRetry) await this.client.login();
-                retryWorked = await methodClass[item.command](item.args)
+                if (this.settings.loginOnRetry) await this.account.login().catch((loginError) => this.error(loginError));
+                retryWorked = await this.account.request(() => methodClass[item.command](item.args))
                   .then(() => {
                     this.watchDogCounter = 6;
                     this.setAvailable().catch(this.error);
@@ -198,12 +272,15 @@ class CarDevice extends Homey.Device {
                   })
                   .catch(() => false);
               }
-              if (!retryWorked) {
-                this.error(`${item.command} failed`, msg);
-                this.watchDogCounter -= 1;
-              }
               this.busy = false;
+              if (retryWorked) return null;
+              this.error(`${item.command} failed`, msg);
+              this.noteError(`${item.command} failed: ${msg}`);
+              this.watchDogCounter -= 1;
+              return error;
             });
+          commandResult(item, failure);
+          if (!failure) this.expectOutcome(item);
           await setTimeoutPromise((itemWait[item.command] || 5) * 1000, 'waiting is done');
           this.runQueue().catch((error) => this.error(error));
         } else {
@@ -211,7 +288,7 @@ class CarDevice extends Homey.Device {
           this.queueRunning = false;
           this.busy = false;
           const fixingChargerState = (this.lastCommand === 'stopCharge') || (Date.now() - this.fixChargerStateTime) < 30 * 1000;
-          if (this.lastCommand !== 'doPoll' && !fixingChargerState) {
+          if (!backgroundCommands.includes(this.lastCommand) && !fixingChargerState) {
             // this.carLastActive = Date.now();
             this.enQueue({ command: 'doPoll', args: { forceOnce: true, logPoll: false } });
           }
@@ -224,58 +301,131 @@ class CarDevice extends Homey.Device {
     };
   }
 
-  // setup Bluelinky client
+  // a login in the settings: of a car paired before the credential store, or a new password or PIN for the account
+  settingsLogin(settings) {
+    if (!settings.password && !settings.pin) return null;
+    const current = this.homey.app.credentials.get(settings.accountId) || {};
+    return {
+      brand: this.homey.manifest.id.replace('com.', ''),
+      region: current.region || settings.region,
+      username: current.username || settings.username,
+      password: settings.password || current.password,
+      pin: settings.pin || current.pin,
+    };
+  }
+
+  // the login of the car from the credential store of the app. A login in the settings is moved into the store.
+  async getCredentials() {
+    const store = this.homey.app.credentials;
+    const login = this.settingsLogin(this.settings);
+    if (login) {
+      const accountId = store.save(login);
+      await this.setSettings({
+        accountId, username: maskUsername(login.username), password: '', pin: '',
+      });
+      this.settings = this.getSettings();
+      this.log(`${this.getName()} login moved to the credential store of the app`);
+    }
+    const credentials = store.get(this.settings.accountId);
+    if (!credentials) throw Error('The login of this car is missing. Use Repair to enter it.');
+    return credentials;
+  }
+
+  // setup Bluelinky client, shared with the other cars on the same account
   async setupClient() {
+    const credentials = await this.getCredentials();
     const options = {
-      username: this.settings.username,
-      password: this.settings.password,
-      region: this.settings.region,
+      username: credentials.username,
+      password: credentials.password,
+      region: credentials.region,
       language: this.settings.language || 'en', // ['cs', 'da', 'nl', 'en', 'fi', 'fr', 'de', 'it', 'pl', 'hu', 'no', 'sk', 'es', 'sv']
-      pin: this.settings.pin,
+      pin: credentials.pin,
       // vin: this.settings.vin,
       brand: this.homey.manifest.id.replace('com.', ''), // 'kia' or 'hyundai'
       stampMode: 'LOCAL', // 'LOCAL' or 'DISTANT'
       deviceUuid: Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15), // 'homey',
       autoLogin: false,
+      requestBudget: this.settings.requestBudget,
     };
-    this.client = new BlueLinky(options);
-    this.client.on('error', (error) => {
+    this.releaseAccount();
+    this.account = this.homey.app.accounts.register(this.getData().id, options);
+    this.onAccountError = (error) => {
+      // errors of the other cars on the account only count when this car is waiting for the server
+      const ownError = this.busy || !this.vehicle;
       // retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests
       if (error.message && error.message.includes('"resCode":"5091"')) {
         this.log('Daily quotum reached! Pausing app for 60 minutes.');
         this.stopPolling();
         this.setUnavailable('Daily quotum reached!. Waiting 60 minutes.').catch(this.error);
-        this.restartDevice(60 * 60 * 1000).catch((error) => this.error(error));
+        this.restartDevice(60 * 60 * 1000, 'daily request quota reached').catch((error) => this.error(error));
       }
+      if (!ownError) return;
       if (error.message && error.message.includes('"resCode":"4004"')) {
         this.log('Command failed (duplicate request)');
         this.watchDogCounter -= 1;
       }
       this.error(error);
+      this.noteError(error);
       this.watchDogCounter -= 1;
-      if (!this.vehicle) this.restartDevice(15 * 1000).catch((error) => this.error(error));
-    });
-    this.client.on('ready', (vehicles) => {
+      if (!this.vehicle) this.restartDevice(15 * 1000, 'login failed').catch((error) => this.error(error));
+    };
+    this.onAccountReady = (vehicles) => {
       // console.log(util.inspect(vehicles, true, 10, true));
       const [vehicle] = vehicles.filter((veh) => veh.vehicleConfig.vin === this.settings.vin);
       if (this.vehicle === null) this.log(JSON.stringify(vehicle.vehicleConfig));
       this.vehicle = vehicle;
-    });
-    await this.client.login();
+    };
+    this.onAccountUsage = (usage) => {
+      this.setCapability('request_budget', usage.remaining);
+      // slow down or speed up polling when the budget left changes
+      if (this.activePollInterval && this.account.pollInterval(this.pollInterval) !== this.activePollInterval) {
+        this.startPolling(this.pollInterval, false).catch((error) => this.error(error));
+      }
+    };
+    this.onAccountNearlyExhausted = (usage) => {
+      this.log(`Request budget nearly exhausted: ${usage.remaining} of ${usage.budget} left`);
+      const tokens = { remaining: usage.remaining, budget: usage.budget };
+      this.homey.flow.getDeviceTriggerCard('request_budget_low')
+        .trigger(this, tokens)
+        .catch(this.error);
+    };
+    this.account.on('error', this.onAccountError);
+    this.account.on('ready', this.onAccountReady);
+    this.account.on('usage', this.onAccountUsage);
+    this.account.on('nearlyExhausted', this.onAccountNearlyExhausted);
+    this.setCapability('request_budget', this.account.usage().remaining);
+    // login once for all cars; a car that joins later gets the vehicles of the running session
+    const vehicles = await this.account.connect();
+    if (!this.vehicle) this.onAccountReady(vehicles);
     // await setTimeoutPromise(60 * 1000);
     // if (!this.client.controller || !this.client.controller.session || !this.client.controller.session.tokenExpiresAt) throw Error('client startup failed');
   }
 
-  async startPolling(interval) {
+  releaseAccount() {
+    if (!this.account) return;
+    this.account.off('error', this.onAccountError);
+    this.account.off('ready', this.onAccountReady);
+    this.account.off('usage', this.onAccountUsage);
+    this.account.off('nearlyExhausted', this.onAccountNearlyExhausted);
+    this.homey.app.accounts.release(this.getData().id, this.account);
+    this.account = null;
+  }
+
+  async startPolling(interval, firstPoll = true) {
     this.homey.clearInterval(this.intervalIdDevicePoll);
     const mode = this.pollMode ? 'car' : 'server';
-    this.log(`Start polling ${mode} ${this.getName()} @ ${interval} minute interval`);
+    this.pollInterval = interval;
+    this.activePollInterval = this.account ? this.account.pollInterval(interval) : interval;
+    if (this.activePollInterval !== interval) {
+      this.log(`Request budget is running low; polling every ${this.activePollInterval} instead of ${interval} minutes`);
+    }
+    this.log(`Start polling ${mode} ${this.getName()} @ ${this.activePollInterval} minute interval`);
     if (this.settings.pollIntervalForced) this.log(`Warning: forced polling is enabled @${this.settings.pollIntervalForced} minute interval`);
     this.intervalIdDevicePoll = this.homey.setInterval(() => {
       if (this.watchDogCounter <= 0) {
         // restart the app here
         this.log('watchdog triggered, restarting device now');
-        this.restartDevice().catch((error) => this.error(error));
+        this.restartDevice(undefined, 'watchdog: too many failed polls or commands').catch((error) => this.error(error));
         return;
       }
       if (this.busy) {
@@ -284,9 +434,9 @@ class CarDevice extends Homey.Device {
         return;
       }
       this.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: false } });
-    }, 1000 * 60 * interval);
+    }, 1000 * 60 * this.activePollInterval);
     // do first poll
-    this.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: true } });
+    if (firstPoll) this.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: true } });
     // await setTimeoutPromise(15 * 1000);
     // this.lastStatus = null; // reset lastStatus to force logging a full status poll
     // this.enQueue({ command: 'doPoll', args: true });
@@ -295,15 +445,22 @@ class CarDevice extends Homey.Device {
   stopPolling() {
     this.log(`Stop polling ${this.getName()}`);
     this.homey.clearInterval(this.intervalIdDevicePoll);
+    this.activePollInterval = null;
   }
 
-  async restartDevice(delay) {
+  async restartDevice(delay, reason = 'restart') {
     if (this.restarting) return;
     this.restarting = true;
+    this.lastRestart = { time: Date.now(), reason };
     this.stopPolling();
+    this.clearChargePlanTimers();
+    this.cancelAutoLock();
+    this.clearTimedUnlockTimer();
+    this.clearConfirmationTimer();
     this.flushQueue();
+    this.releaseAccount();
     const dly = delay || 1000 * 60 * 5;
-    this.log(`Device will restart in ${dly / 1000} seconds`);
+    this.log(`Device will restart in ${dly / 1000} seconds (${reason})`);
     this.setUnavailable('Device is restarting. Wait a few minutes!').catch(this.error);
     await setTimeoutPromise(dly);
     this.onInit().catch((error) => this.error(error));
@@ -312,6 +469,11 @@ class CarDevice extends Homey.Device {
   async onUninit() {
     this.log('unInit', this.getName());
     this.stopPolling();
+    this.clearChargePlanTimers();
+    this.cancelAutoLock();
+    this.clearTimedUnlockTimer();
+    this.clearConfirmationTimer();
+    this.releaseAccount();
     await setTimeoutPromise(2000).catch((error) => this.error(error)); // wait 2 secs
   }
 
@@ -323,7 +485,16 @@ class CarDevice extends Homey.Device {
   // this method is called when the Device is deleted
   onDeleted() {
     this.stopPolling();
+    this.clearChargePlanTimers();
+    this.cancelAutoLock();
+    this.clearTimedUnlockTimer();
+    this.clearConfirmationTimer();
+    this.releaseAccount();
     // this.destroyListeners();
+    // the login goes with the last car of the account
+    const { accountId } = this.getSettings();
+    const inUse = this.driver.getDevices().some((car) => car !== this && car.getSettings().accountId === accountId);
+    if (accountId && !inUse) this.homey.app.credentials.remove(accountId);
     this.log(`Car deleted: ${this.getName()}`);
   }
 
@@ -333,9 +504,20 @@ class CarDevice extends Homey.Device {
 
   // this method is called when the user has changed the device's settings in Homey.
   async onSettings({ oldSettings, newSettings, changedKeys }) {
-    this.log('Settings changed', this.getName(), newSettings);
+    if (changedKeys.includes('zones')) geofence.parseZones(newSettings.zones); // throws on invalid zones
+    if (changedKeys.includes('geoServer') && newSettings.geoServer && !/^https?:\/\/[^/]+/.test(newSettings.geoServer)) {
+      throw Error('The self-hosted server must be a URL like http://192.168.1.10:8080');
+    }
+    // log in with a new password or PIN before it is saved, so a typo is caught right away
+    const login = (changedKeys.includes('password') || changedKeys.includes('pin')) && this.settingsLogin(newSettings);
+    if (login) await this.driver.checkCredentials(login, this.getData().id);
+    const changed = {};
+    changedKeys.forEach((key) => {
+      changed[key] = newSettings[key];
+    });
+    this.log('Settings changed', this.getName(), changed);
     this.migrated = false;
-    this.restartDevice(500).catch((error) => this.error(error));
+    this.restartDevice(500, 'settings changed').catch((error) => this.error(error));
   }
 
   setCapability(capability, value) {
@@ -365,13 +547,15 @@ class CarDevice extends Homey.Device {
     try {
       this.setCapability('refresh_status', true);
       const batSoc = this.getCapabilityValue('measure_battery.12V');
+      const budgetLeft = Math.max(this.account.budgetLeft(), 0.1);
       const forcePollInterval = this.settings.pollIntervalForced
         && (this.settings.pollIntervalForced * 60 * 1000) < (Date.now() - this.lastRefresh)
-        && (Date.now() - this.lastRefresh) > 1000 * 60 * 24 * (this.settings.pollIntervalForced / 5) * ((batSoc || 50) / 100);
-      // max. 24hrs forced poll @5 min & 100% charge
+        && (Date.now() - this.lastRefresh) > (1000 * 60 * 24 * (this.settings.pollIntervalForced / 5) * ((batSoc || 50) / 100)) / budgetLeft;
+      // max. 24hrs forced poll @5 min & 100% charge & full request budget; less often when the budget runs low
       const batSoCGood = this?.lastStatus?.['measure_battery.12V'] > this.settings.batteryAlarmLevel;
       const refresh = this.pollMode // 1 = engineOn with refresh
         || (batSoCGood && (forceOnce || forcePollInterval)); // || !status || !location || !odometer));
+      if (refresh) this.account.countRefresh();
 
       let fullStatus;
       const ccuCCS2 = this.vehicle?.vehicleConfig?.ccuCCS2ProtocolSupport;
@@ -390,6 +574,7 @@ class CarDevice extends Homey.Device {
         // check for location data
         if (!fullStatus.vehicleLocation) {
           await setTimeoutPromise(5000);
+          this.account.countRequest();
           let location = await this.vehicle.location().catch((error) => this.error(error));
           if (!location) location = {};
           fullStatus.vehicleLocation = {
@@ -413,6 +598,8 @@ class CarDevice extends Homey.Device {
         // check if location and odo need refresh
         if (fullStatus.time !== this?.lastStatus?.Date) { // check if server state changed
           // get location and odometer from car
+          this.account.countRequest();
+          this.account.countRequest();
           const location = await this.vehicle.location().catch((error) => this.error(error));
           fullStatus.vehicleLocation = {
             coord: { lat: location.latitude, lon: location.longitude },
@@ -423,7 +610,7 @@ class CarDevice extends Homey.Device {
       }
 
       // log data on app init
-      if (logPoll) this.log(JSON.stringify(fullStatus));
+      if (logPoll) this.log(JSON.stringify(snapshots.redact(fullStatus)));
       // console.dir(fullStatus, { depth: null, colors: true, showHidden: true });
       const stsMapped = await this.mapStatus(fullStatus);
       if (stsMapped.Date !== this?.lastStatus?.Date) {
@@ -435,6 +622,7 @@ class CarDevice extends Homey.Device {
       // repair odometer status 0
       if (!stsMapped.measure_odo) stsMapped.measure_odo = { ...this?.lastStatus?.measure_odo };
 
+      this.recordSnapshot(fullStatus, stsMapped, refresh);
       this.lastStatus = stsMapped;
       await this.setStoreValue('lastStatus', stsMapped).catch((error) => this.error(error));
 
@@ -451,6 +639,7 @@ class CarDevice extends Homey.Device {
       // update capabilities and flows
       await this.handleInfo(stsMapped).catch((error) => this.error(error));
       this.setCapability('refresh_status', false);
+      this.lastPoll = Date.now();
 
       // fix charger state after refresh
       // if (this.settings.chargeStateFix && this.isEV && refresh
@@ -472,20 +661,87 @@ class CarDevice extends Homey.Device {
       return Promise.resolve(true);
     } catch (error) {
       this.error(error);
+      this.noteError(error);
       this.setCapability('refresh_status', false);
       return Promise.reject(error);
     }
   }
 
+  // keep the last errors for the diagnostics of the app settings
+  noteError(error) {
+    const message = String(error?.body || error?.message || error);
+    this.recentErrors = [...(this.recentErrors || []), { time: Date.now(), message }].slice(-10);
+  }
+
+  // state of the device for the diagnostics of the app settings
+  getDiagnostics() {
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      id: this.getData().id,
+      name: this.getName(),
+      engine: this.settings.engine,
+      available: this.getAvailable(),
+      loggedIn: !!this.vehicle,
+      restarting: !!this.restarting,
+      lastRestart: this.lastRestart ? { time: iso(this.lastRestart.time), reason: this.lastRestart.reason } : null,
+      lastPoll: iso(this.lastPoll),
+      lastRefresh: iso(this.lastRefresh),
+      watchDogCounter: this.watchDogCounter,
+      pollInterval: this.activePollInterval || null,
+      queue: (this.queue || []).map((item) => item.command),
+      unconfirmed: (this.confirmations || []).map((pending) => pending.command),
+      busy: !!this.busy,
+      recentErrors: (this.recentErrors || []).map((error) => ({ time: iso(error.time), message: error.message })),
+    };
+  }
+
+  // keep the raw and mapped status of the last polls for troubleshooting, and log what changed
+  recordSnapshot(raw, mapped, refresh) {
+    const changes = snapshots.diff(this.lastStatus, mapped, this.getCapabilities());
+    const reason = refresh ? 'status refresh from the car' : `server status of ${mapped.Date}`;
+    if (this.lastStatus && changes.length) this.log(`${this.getName()} changed by ${reason}: ${snapshots.formatDiff(changes)}`);
+    const snapshot = {
+      time: new Date().toISOString(),
+      reason,
+      changes,
+      raw: snapshots.redact(raw),
+      mapped: snapshots.redact(mapped),
+    };
+    const buffer = snapshots.addSnapshot(this.getStoreValue('snapshots'), snapshot, this.settings.snapshotCount);
+    this.setStoreValue('snapshots', buffer).catch((error) => this.error(error));
+  }
+
+  // the last snapshots and the car config, without credentials, to attach to a bug report
+  exportSnapshots() {
+    return {
+      app: `${this.homey.manifest.id} ${this.homey.manifest.version}`,
+      car: snapshots.redact({
+        name: this.getName(),
+        engine: this.settings.engine,
+        region: this.settings.region,
+        vehicleConfig: this.vehicle?.vehicleConfig || null,
+      }),
+      snapshots: this.getStoreValue('snapshots') || [],
+    };
+  }
+
   async handleInfo(info) {
     try {
 
       const moving = this.isMoving(info);
       const hasParked = this.isParking(info);
+      const validLocation = Number.isFinite(info.latitude) && Number.isFinite(info.longitude)
+        && !(info.latitude === 0 && info.longitude === 0);
+      const zones = validLocation ? geofence.getZonesAt(info, this.zones) : this.currentZones;
+      const enteredZones = zones.filter((zone) => !this.currentZones.includes(zone));
+      const leftZones = this.currentZones.filter((zone) => !zones.includes(zone));
 
-      // update capabilities
+      const energyState = this.isEV ? this.meterEnergy(info) : null;
+
+      // update capabilities. States that wait for the confirmation of a command keep the requested value.
+      this.checkConfirmations(info);
       for (const [cap, val] of Object.entries(info)) {
-        this.setCapability(cap, val);
+        if (!this.confirmations.some((pending) => cap in pending.expected)) this.setCapability(cap, val);
       }
       if (this.lastRefresh) {
         const ds = new Date(this.lastRefresh);
@@ -502,17 +758,62 @@ class CarDevice extends Homey.Device {
           .catch(this.error);
       }
 
+      leftZones.forEach((zone) => {
+        this.log(`${this.getName()} left zone ${zone}`);
+        this.homey.flow.getDeviceTriggerCard('zone_left')
+          .trigger(this, { zone }, { zone })
+          .catch(this.error);
+      });
+      enteredZones.forEach((zone) => {
+        this.log(`${this.getName()} entered zone ${zone}`);
+        this.homey.flow.getDeviceTriggerCard('zone_entered')
+          .trigger(this, { zone }, { zone })
+          .catch(this.error);
+      });
+      if (enteredZones.length || leftZones.length) {
+        this.currentZones = zones;
+        this.setStoreValue('currentZones', zones).catch((error) => this.error(error));
+      }
+
+      this.checkLeftOpen(info);
+      this.openItems = info.openItems || [];
+      if (info.engine) this.cancelAutoLock();
+      this.followTimedUnlock(info);
+      this.checkUnlockedTime(info);
+
+      // tire pressure got low, or another wheel got low
+      const lowWheels = info.lowWheels || [];
+      if (info.alarm_tire_pressure && info.tire_pressure !== this.tirePressure) {
+        this.log(`${this.getName()} tire pressure: ${info.tire_pressure}`);
+        const tireTokens = { wheels: info.tire_pressure };
+        Object.keys(tyres.WHEELS).forEach((wheel) => {
+          tireTokens[wheel] = lowWheels.includes(wheel);
+          tireTokens[`pressure_${wheel}`] = info[`measure_tire_pressure.${wheel}`] || 0;
+        });
+        this.homey.flow.getDeviceTriggerCard('tire_pressure_low')
+          .trigger(this, tireTokens)
+          .catch(this.error);
+      }
+      if (info.tire_pressure) this.tirePressure = info.tire_pressure;
+
+      if (this.isEV) await this.recordChargeSession(info, zones, energyState.estimated);
+
       if (hasParked) {
+        // EV battery used since the previous park location
+        const batteryUsed = this.parkLocation.measure_battery - info.measure_battery;
         this.parkLocation = { ...info };
         this.setStoreValue('parkLocation', this.parkLocation).catch((error) => this.error(error));
         this.log(`new park location: ${info.location}`);
         // this.carLastActive = Date.now(); // keep polling for some time
         tokens.address = info.address;
         tokens.map = `https://www.google.com/maps?q=${info.latitude},${info.longitude}`;
+        tokens.zone = zones[0] || '';
         // console.log(this.getName(), tokens);
         this.homey.flow.getDeviceTriggerCard('has_parked')
           .trigger(this, tokens)
           .catch(this.error);
+        // fetch the finished trip(s) from the server
+        this.enQueue({ command: 'updateTrips', args: { batteryUsed: batteryUsed || 0 } });
       }
 
       if ((Date.now() - this.lastRefresh) < 30 * 1000) {
@@ -525,6 +826,192 @@ class CarDevice extends Homey.Device {
     }
   }
 
+  // get new trips from the server, store them and update the totals
+  async updateTrips({ batteryUsed = 0 }) {
+    try {
+      if (typeof this.vehicle.tripInfo !== 'function') return Promise.resolve(false); // not supported in this region
+      const [year, month, day] = new Date()
+        .toLocaleDateString('en-CA', { timeZone: this.homey.clock.getTimezone() }) // YYYY-MM-DD
+        .split('-')
+        .map(Number);
+      const dayTrips = await this.vehicle.tripInfo({ year, month, day });
+      const storedTrips = this.getStoreValue('trips') || [];
+      const newTrips = tripLog.parseDayTrips(dayTrips)
+        .filter((trip) => !storedTrips.some((stored) => stored.id === trip.id));
+      if (!newTrips.length) return Promise.resolve(false);
+      tripLog.addEnergy(newTrips, { economy: this.getCapabilityValue('meter_power.fuel_economy'), batteryUsed });
+      let totals = this.getStoreValue('tripTotals');
+      newTrips.forEach((trip) => {
+        totals = tripLog.addToTotals(totals, trip);
+        this.log(`${this.getName()} trip finished: ${trip.distance} km in ${trip.duration} minutes`);
+        const tokens = {
+          distance: trip.distance,
+          duration: trip.duration,
+          speed_avg: trip.speedAvg,
+          speed_max: trip.speedMax,
+          energy: trip.energy,
+          battery_used: trip.batteryUsed,
+        };
+        this.homey.flow.getDeviceTriggerCard('trip_finished')
+          .trigger(this, tokens)
+          .catch(this.error);
+      });
+      await this.setStoreValue('trips', tripLog.pruneTrips([...storedTrips, ...newTrips]));
+      await this.setStoreValue('tripTotals', totals);
+      return Promise.resolve(true);
+    } catch (error) {
+      // trip info is not available for all cars; don't let it count against the watchdog
+      this.error(`${this.getName()} trip update failed`, error.message || error);
+      return Promise.resolve(false);
+    }
+  }
+
+  // get daily or monthly trip totals for flows
+  getTripTotals(period) {
+    const today = new Date()
+      .toLocaleDateString('en-CA', { timeZone: this.homey.clock.getTimezone() })
+      .replace(/-/g, ''); // YYYYMMDD
+    const key = period === 'month' ? today.substring(0, 6) : today;
+    const totals = tripLog.getTotals(this.getStoreValue('tripTotals'), key);
+    return {
+      trips: totals.trips,
+      distance: totals.distance,
+      duration: totals.duration,
+      energy: totals.energy,
+    };
+  }
+
+  // usable battery capacity in kWh, from the settings or the car model
+  getBatteryCapacity() {
+    return energy.batteryCapacity(this.settings.batteryCapacity, this.settings.nameOrg);
+  }
+
+  // charge power, estimated from the SoC gain when the car doesn't report it, and the total energy charged for Homey Energy:
+  // metered, or estimated for a car without charge power. Returns the energy state, with estimated set for an estimated power.
+  meterEnergy(info) {
+    const inf = info;
+    const power = inf['measure_power.charge'];
+    const state = energy.trackEnergy(this.getStoreValue('energy') || undefined, {
+      soc: inf.measure_battery,
+      power: Number.isFinite(power) ? power / 1000 : null, // kW
+      charging: inf.ev_charging_state === 'plugged_in_charging',
+    }, this.getBatteryCapacity());
+    inf['measure_power.charge'] = Number.isFinite(state.power) ? Math.round(state.power * 1000) : null;
+    inf.meter_power = energy.meterTotal(state);
+    this.setStoreValue('energy', state).catch((error) => this.error(error));
+    return state;
+  }
+
+  // follow a charging session from plug-in to unplug. An estimated charge power is left out of the session, which then
+  // gets its energy from the SoC gain and is flagged as not metered.
+  async recordChargeSession(info, zones, powerEstimated = false) {
+    try {
+      const state = info.ev_charging_state;
+      if (!state) return Promise.resolve(false);
+      const power = info['measure_power.charge'];
+      const sample = {
+        soc: info.measure_battery,
+        power: Number.isFinite(power) && !powerEstimated ? power / 1000 : null, // kW
+        charging: state === 'plugged_in_charging',
+      };
+      let session = this.getStoreValue('chargeSession');
+      if (!session && state !== 'plugged_out') {
+        session = chargeSessions.startSession({ soc: sample.soc, zone: zones[0] || '', location: info.location || '' });
+        this.log(`${this.getName()} charging session started at ${sample.soc}%`);
+      }
+      if (!session) return Promise.resolve(false);
+      chargeSessions.addSample(session, sample);
+      if (state !== 'plugged_out') {
+        await this.setStoreValue('chargeSession', session);
+        return Promise.resolve(true);
+      }
+      const finished = chargeSessions.finishSession(session, {
+        soc: sample.soc,
+        capacity: this.getBatteryCapacity(),
+        tariff: this.settings.chargeTariff || 0,
+      });
+      this.log(`${this.getName()} charging session finished: ${finished.energy} kWh, ${finished.socStart}-${finished.socEnd}%`);
+      const sessions = this.getStoreValue('chargeSessions') || [];
+      await this.setStoreValue('chargeSessions', chargeSessions.pruneSessions([...sessions, finished]));
+      await this.unsetStoreValue('chargeSession');
+      const tokens = {
+        energy: finished.energy,
+        cost: finished.cost,
+        duration: finished.duration,
+        soc_start: finished.socStart,
+        soc_end: finished.socEnd,
+        power_peak: finished.powerPeak,
+        power_avg: finished.powerAvg,
+        zone: finished.zone,
+        location: finished.location,
+      };
+      this.homey.flow.getDeviceTriggerCard('charge_session_finished')
+        .trigger(this, tokens)
+        .catch(this.error);
+      return Promise.resolve(true);
+    } catch (error) {
+      this.error(`${this.getName()} charging session update failed`, error.message || error);
+      return Promise.resolve(false);
+    }
+  }
+
+  // finished charging sessions of this month, last month or all
+  getChargeSessions(period) {
+    const timeZone = this.homey.clock.getTimezone();
+    const now = new Date();
+    const today = now.toLocaleDateString('en-CA', { timeZone }).replace(/-/g, ''); // YYYYMMDD
+    let month = today.substring(0, 6);
+    if (period === 'last_month') {
+      const year = Number(month.substring(0, 4));
+      const mon = Number(month.substring(4, 6));
+      month = mon === 1 ? `${year - 1}12` : `${year}${String(mon - 1).padStart(2, '0')}`;
+    }
+    if (period === 'all') month = null;
+    return chargeSessions.filterSessions(this.getStoreValue('chargeSessions') || [], month, timeZone);
+  }
+
+  // finished charging sessions as CSV with totals for flows
+  exportChargeSessions(period) {
+    const sessions = this.getChargeSessions(period);
+    return {
+      ...chargeSessions.sumSessions(sessions),
+      csv: chargeSessions.toCsv(sessions),
+    };
+  }
+
+  // status for the Web API: the mapped status, the capability values, location and timestamps
+  getApiStatus() {
+    const capabilities = {};
+    this.getCapabilities().forEach((capability) => {
+      capabilities[capability] = this.getCapabilityValue(capability);
+    });
+    return {
+      id: this.getData().id,
+      name: this.getName(),
+      engine: this.settings.engine,
+      batteryCapacity: this.getBatteryCapacity(),
+      serverTime: this.lastStatus?.Date || null,
+      lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null,
+      location: {
+        latitude: this.getCapabilityValue('latitude'),
+        longitude: this.getCapabilityValue('longitude'),
+        address: this.lastStatus?.address || null,
+        zones: this.currentZones,
+      },
+      capabilities,
+      status: this.lastStatus,
+    };
+  }
+
+  // stored trips with the totals of today and this month, for the Web API
+  getTripHistory() {
+    return {
+      today: this.getTripTotals('day'),
+      month: this.getTripTotals('month'),
+      trips: this.getStoreValue('trips') || [],
+    };
+  }
+
   // helper functions
   async mapStatus(status) {
     const map = {};
@@ -538,7 +1025,7 @@ class CarDevice extends Homey.Device {
       const speed = sts?.vehicleLocation?.speed?.value;
       map.measure_speed = speed > 255 ? 0 : speed;
       map.meter_distance = Math.round(this.distance(map) * 10) / 10;
-      const carLocString = await geo.getCarLocString(map).catch((error) => this.error(error)); // ReverseGeocoding
+      const carLocString = await geo.getCarLocString(map, this.geoOptions).catch((error) => this.error(error)); // ReverseGeocoding
       map.location = carLocString?.local;
       map.address = carLocString?.address;
       sts = { ...status.vehicleStatus };
@@ -558,12 +1045,14 @@ class CarDevice extends Homey.Device {
         evChargingState = 'plugged_out';
       }
       map.climate_control = sts.airCtrlOn;
-      map.target_temperature = sts.airCtrlOn ? convert.getTempFromCode(sts.airTemp.value) : this.getCapabilityValue('target_temperature');
+      map.target_temperature = sts.airCtrlOn ? convert.celsiusFromCode(sts.airTemp.value, convert.serverUnit(sts.airTemp)) : this.getCapabilityValue('target_temperature');
       map.locked = sts.doorLock;
       map.defrost = sts.defrost;
       map.engine = sts.engine;
-      map.closed_locked = sts.doorLock && !sts.trunkOpen && !sts.hoodOpen && Object.keys(sts.doorOpen).reduce((closedAccu, door) => closedAccu || !sts.doorOpen[door], true);
-      map['alarm_tire_pressure'] = !!sts?.tirePressureLamp?.tirePressureLampAll;
+      const openList = openings.openItems(openings.parseOpenings(sts));
+      map.closed_locked = sts.doorLock && !openList.length;
+      map.openings = openings.formatOpenings(openList);
+      map.openItems = openList;
       map['measure_battery.12V'] = sts?.battery?.batSoc;
       map.measure_range = sts?.evStatus?.drvDistance?.[0]?.rangeByFuel?.totalAvailableRange?.value || sts?.dte?.value;
       if (map.measure_range === undefined || map.measure_range < 0) map.measure_range = null; // Sorento weird server response
@@ -588,7 +1077,7 @@ class CarDevice extends Homey.Device {
       const speed = sts?.Location?.Speed?.Value;
       map.measure_speed = speed > 255 ? 0 : speed;
       map.meter_distance = Math.round(this.distance(map) * 10) / 10;
-      const carLocString = await geo.getCarLocString(map).catch((error) => this.error(error)); // ReverseGeocoding
+      const carLocString = await geo.getCarLocString(map, this.geoOptions).catch((error) => this.error(error)); // ReverseGeocoding
       map.location = carLocString?.local;
       map.address = carLocString?.address;
 
@@ -611,7 +1100,7 @@ class CarDevice extends Homey.Device {
         targetTemp = Number(targetTemp);
       }
       map.climate_control = !(targetTemp === 'OFF');
-      map.target_temperature = targetTemp === 'OFF' ? this.getCapabilityValue('target_temperature') : targetTemp;
+      map.target_temperature = targetTemp === 'OFF' ? this.getCapabilityValue('target_temperature') : convert.toCelsius(targetTemp, this.tempUnit);
       map.defrost = !!sts?.Body?.Windshield?.Front?.Defog?.State || !!sts?.Body?.Windshield?.Rear?.Defog?.State;
 
       // Check doors
@@ -621,34 +1110,45 @@ class CarDevice extends Homey.Device {
         sts?.Cabin?.Door?.Row2?.Left,
         sts?.Cabin?.Door?.Row2?.Right,
       ].filter(Boolean);
-      const allDoorsClosed = doors.every((d) => d.Open === 0);
       const allDoorsLocked = doors.every((d) => d.Lock === 0);
-      // Check windows
-      const windows = [
-        sts?.Cabin?.Window?.Row1?.Driver,
-        sts?.Cabin?.Window?.Row1?.Passenger,
-        sts?.Cabin?.Window?.Row2?.Left,
-        sts?.Cabin?.Window?.Row2?.Right,
-      ].filter(Boolean);
-      const allWindowsClosed = windows.every((w) => w.Open === 0);
-      // Check trunk, hood, sunroof
-      const trunkClosed = sts?.Body?.Trunk?.Open === 0;
-      const hoodClosed = sts?.Body?.Hood?.Open === 0;
-      const sunroofClosed = sts?.Body?.Sunroof?.Glass?.Open === 0;
+      // Check doors, windows, trunk, hood, sunroof
+      const openList = openings.openItems(openings.parseOpenings(sts));
       map.locked = allDoorsLocked;
-      map.closed_locked = allDoorsClosed && allDoorsLocked && allWindowsClosed && trunkClosed && hoodClosed && sunroofClosed;
+      map.closed_locked = allDoorsLocked && !openList.length;
+      map.openings = openings.formatOpenings(openList);
+      map.openItems = openList;
       map.engine = !!sts.DrivingReady;
-      map['alarm_tire_pressure'] = !!sts?.battery?.Axle?.Tire?.PressureLow;
       map['measure_battery.12V'] = sts?.Electronics?.Battery?.Level;
       map.measure_range = sts?.Drivetrain?.FuelSystem?.DTE.Total;
       map.measure_battery = sts?.Green?.BatteryManagement?.BatteryRemain.Ratio;
       map.charge = charge;
       map.charge_target_slow = sts?.Green?.ChargingInformation?.TargetSoC?.Standard.toString();
       map.charge_target_fast = sts?.Green?.ChargingInformation?.TargetSoC?.Quick.toString();
+      const limits = chargeLimits.parseChargeLimits(sts);
+      map.charge_current_limit = limits.currentLimit?.toString();
+      map.v2l_limit = limits.v2lLimit;
       map.ev_charging_state = evChargingState;
       map['alarm_bat'] = (map['measure_battery.12V'] < this.settings.batteryAlarmLevel) || (map.measure_battery < this.settings.EVbatteryAlarmLevel);
       map.Date = sts.Date;
     }
+    // tire pressure warnings per wheel, and pressures when the car reports them
+    if (sts.time || sts.Date) {
+      const tireState = tyres.parseTyres(sts);
+      map['alarm_tire_pressure'] = tireState.alarm;
+      map.tire_pressure = tyres.formatTyres(tireState);
+      map.lowWheels = tyres.lowWheels(tireState);
+      Object.entries(tireState.wheels).forEach(([wheel, tire]) => {
+        map[`measure_tire_pressure.${wheel}`] = tire.pressure;
+      });
+    }
+    // departure timers and off-peak window as programmed on the car
+    const schedule = departure.parseSchedule(sts);
+    if (schedule) {
+      this.departureSchedule = schedule;
+      const timers = schedule.departures.filter((timer) => timer.enabled);
+      map.departure_timer = timers.length ? timers.map(departure.formatDeparture).join(', ') : 'off';
+      map.offpeak_charging = departure.formatOffPeak(schedule.offPeak);
+    }
     return Promise.resolve(map);
   }
 
@@ -672,6 +1172,68 @@ class CarDevice extends Homey.Device {
     return parking;
   }
 
+  // named geofence zones from the settings, including home
+  getZones() {
+    const zones = [];
+    if (this.settings.lat || this.settings.lon) {
+      zones.push({
+        name: 'Home', latitude: this.settings.lat, longitude: this.settings.lon, radius: this.settings.homeRadius || 100,
+      });
+    }
+    try {
+      geofence.parseZones(this.settings.zones).forEach((zone) => {
+        if (zones.some((z) => z.name.toLowerCase() === zone.name.toLowerCase())) return; // keep Home from location settings
+        zones.push(zone);
+      });
+    } catch (error) {
+      this.error(error.message);
+    }
+    return zones;
+  }
+
+  // true when the opening (an id of openings.OPENINGS) or, with 'any', anything is open
+  isOpen(opening) {
+    if (opening === 'any') return this.openItems.length > 0;
+    return this.openItems.includes(opening);
+  }
+
+  // can the car go to the destination and back, with the range now or, when plugged in, at the charge target
+  async checkTrip(destination) {
+    const from = { latitude: this.getCapabilityValue('latitude'), longitude: this.getCapabilityValue('longitude') };
+    if (!Number.isFinite(from.latitude) || !Number.isFinite(from.longitude)) throw Error('The location of the car is not known');
+    const dest = await geo.search(destination, this.geoOptions);
+    const distance = rangePlanner.roundTrip(from, { latitude: dest.lat, longitude: dest.lon }, this.settings.detourFactor);
+    const fullEV = this.hasCapability('charge_target_slow'); // range of a PHEV includes fuel
+    const trip = rangePlanner.checkTrip({
+      distance,
+      range: this.getCapabilityValue('measure_range'),
+      soc: fullEV ? this.getCapabilityValue('measure_battery') : undefined,
+      target: Number(this.getCapabilityValue('charge_target_slow')),
+      pluggedIn: fullEV && this.getCapabilityValue('ev_charging_state') !== 'plugged_out',
+      reserve: this.settings.rangeReserve,
+    });
+    this.log(`${this.getName()} trip to ${dest.display_name}: ${distance} km, range ${trip.range} km`);
+    return {
+      destination: dest.display_name,
+      distance,
+      range: trip.range,
+      reachable: trip.reachable,
+      soc_needed: trip.socNeeded || 0,
+      charge_target: trip.chargeTarget || 0,
+    };
+  }
+
+  isInZone(name) {
+    return this.currentZones.some((zone) => zone.toLowerCase() === name.toLowerCase());
+  }
+
+  // zone list for flow card autocomplete
+  getZoneAutocomplete(query = '') {
+    return this.zones
+      .filter((zone) => zone.name.toLowerCase().includes(query.toLowerCase()))
+      .map((zone) => ({ name: zone.name }));
+  }
+
   distance(location) {
     const lat1 = location.latitude;
     const lon1 = location.longitude;
@@ -690,17 +1252,16 @@ class CarDevice extends Homey.Device {
       if (acOn) {
         this.log(`A/C on via ${source}`); // app or flow
         command = 'start';
-        args = {
-          // igniOnDuration: 10,
+        args = climate.parseOptions({
           temperature: this.getCapabilityValue('target_temperature') || 22,
-        };
+          duration: this.settings.climateDuration,
+        });
       } else {
         this.log(`A/C off via ${source}`); // app or flow
         command = 'stop';
         args = {
           // temperature: this.getCapabilityValue('target_temperature') || 22,
         };
-        this.setCapability('defrost', false); // set defrost state to off
       }
       this.enQueue({ command, args });
       return true;
@@ -717,17 +1278,13 @@ class CarDevice extends Homey.Device {
       if (defrost) {
         this.log(`defrost on via ${source}`);
         command = 'start';
-        args = {
-          // igniOnDuration: 10, // doesn't seem to do anything
-          defrost: true,
-          windscreenHeating: true,
-          heatedFeatures: true, // for bluelinky >v8
-          // unknown if this does anything
-          heating1: 1,
-          steerWheelHeat: 1,
-          sideBackWindowHeat: 1,
+        args = climate.parseOptions({
           temperature: this.getCapabilityValue('target_temperature') || 22,
-        };
+          duration: this.settings.climateDuration,
+          defrost: true,
+          steeringWheel: true,
+          rearWindow: true,
+        });
       } else {
         this.log(`defrost off via ${source}`);
         command = 'stop';
@@ -741,7 +1298,6 @@ class CarDevice extends Homey.Device {
           sideBackWindowHeat: 0,
         };
         this.enQueue({ command, args }); // have to do it twice to get defrost reported as off
-        this.setCapability('climate_control', false); // set AC state to off
       }
       this.enQueue({ command, args });
       return true;
@@ -750,6 +1306,81 @@ class CarDevice extends Homey.Device {
     }
   }
 
+  // start climate control with options from a flow or a saved preset
+  startClimate(options, source) {
+    try {
+      if (this.getCapabilityValue('engine')) throw Error('Control not possible; engine is on');
+      const args = climate.parseOptions(options);
+      this.log(`Climate start via ${source}: ${JSON.stringify(args)}`);
+      this.enQueue({ command: 'start', args });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  async saveClimatePreset(name, options, source) {
+    const presetName = String(name || '').trim();
+    if (!presetName) throw Error('Preset name is required');
+    const presets = this.getStoreValue('climatePresets') || {};
+    presets[presetName] = climate.parseOptions(options); // throws on invalid options
+    await this.setStoreValue('climatePresets', presets);
+    this.log(`Climate preset ${presetName} saved via ${source}`);
+    return true;
+  }
+
+  startClimatePreset(name, source) {
+    const presets = this.getStoreValue('climatePresets') || {};
+    if (!presets[name]) throw Error(`Unknown climate preset: ${name}`);
+    return this.startClimate(presets[name], `${source} preset ${name}`);
+  }
+
+  // preset list for flow card autocomplete
+  getClimatePresetAutocomplete(query = '') {
+    return Object.keys(this.getStoreValue('climatePresets') || {})
+      .filter((name) => name.toLowerCase().includes(query.toLowerCase()))
+      .map((name) => ({ name }));
+  }
+
+  // program departure timer 1 or 2 on the car, or turn it off when options is null. The rest of the schedule is kept.
+  setDepartureTimer(timer, options, source) {
+    try {
+      if (!this.departureSchedule) throw Error('Departure schedule of the car is not known yet. Refresh the status first.');
+      if (![1, 2].includes(timer)) throw Error(`Invalid departure timer: ${timer}`);
+      const schedule = JSON.parse(JSON.stringify(this.departureSchedule));
+      const current = schedule.departures[timer - 1];
+      schedule.departures[timer - 1] = options ? departure.parseDeparture(options) : { ...current, enabled: false };
+      this.log(`Departure timer ${timer} set via ${source} to ${departure.formatDeparture(schedule.departures[timer - 1])}`);
+      this.enQueue({ command: 'setDepartureSchedule', args: schedule });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  setOffPeakCharging(options, source) {
+    try {
+      if (!this.departureSchedule) throw Error('Departure schedule of the car is not known yet. Refresh the status first.');
+      const schedule = { ...this.departureSchedule, offPeak: departure.parseOffPeak(options) };
+      this.log(`Off-peak charging set via ${source} to ${departure.formatOffPeak(schedule.offPeak)}`);
+      this.enQueue({ command: 'setDepartureSchedule', args: schedule });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // queued command, with climate options in Celsius
+  async start(options) {
+    await climate.writeStart(this.vehicle, options, this.tempUnit);
+  }
+
+  // queued command
+  async setDepartureSchedule(schedule) {
+    await departure.writeSchedule(this.vehicle, schedule, this.tempUnit);
+    this.departureSchedule = schedule;
+  }
+
   chargingOnOff(charge, source) {
     try {
       if (!this.isEV) throw Error('Control not possible; not an EV');
@@ -768,6 +1399,304 @@ class CarDevice extends Homey.Device {
     }
   }
 
+  // plan charging in the cheapest hours before the ready-by time
+  async planCharging({ target, readyBy, prices }, source) {
+    if (!this.isEV) throw Error('Control not possible; not an EV');
+    const soc = this.getCapabilityValue('measure_battery');
+    if (typeof soc !== 'number') throw Error('Battery level is unknown; refresh the car status first');
+    const now = Date.now();
+    const minutes = planner.minutesNeeded({
+      soc, target: Number(target), capacity: this.getBatteryCapacity(), power: this.settings.chargePower,
+    });
+    const plan = planner.planCharging({
+      prices: planner.parsePrices(prices, now), minutes, now, readyBy: this.getNextTime(readyBy),
+    });
+    if (!plan.complete) this.log(`${this.getName()} not enough time before ${readyBy} to reach ${target}%`);
+    this.log(`Charge plan set by ${source} to ${target}% by ${readyBy}: ${this.formatChargePlan(plan.windows)}`);
+    await this.setStoreValue('chargePlan', plan);
+    this.scheduleChargePlan();
+    return {
+      plan: this.formatChargePlan(plan.windows),
+      hours: Math.round((plan.minutes / 60) * 100) / 100,
+      price_avg: Math.round(plan.priceAvg * 10000) / 10000,
+    };
+  }
+
+  async cancelChargePlan(source) {
+    this.log(`Charge plan cancelled by ${source}`);
+    await this.unsetStoreValue('chargePlan');
+    this.scheduleChargePlan();
+    return true;
+  }
+
+  // set timers to start and stop charging for each window of the stored charge plan
+  scheduleChargePlan() {
+    this.clearChargePlanTimers();
+    const plan = this.getStoreValue('chargePlan');
+    const now = Date.now();
+    const windows = plan ? plan.windows.filter((window) => window.end > now) : [];
+    windows.forEach((window, index) => {
+      const startTimer = this.homey.setTimeout(() => this.chargingOnOff(true, 'charge plan'), Math.max(0, window.start - now));
+      const stopTimer = this.homey.setTimeout(() => {
+        this.chargingOnOff(false, 'charge plan');
+        if (index === windows.length - 1) this.cancelChargePlan('charge plan finished').catch((error) => this.error(error));
+      }, window.end - now);
+      this.chargePlanTimers.push(startTimer, stopTimer);
+    });
+    this.setCapability('charge_plan', this.formatChargePlan(windows));
+  }
+
+  clearChargePlanTimers() {
+    (this.chargePlanTimers || []).forEach((timer) => this.homey.clearTimeout(timer));
+    this.chargePlanTimers = [];
+  }
+
+  formatChargePlan(windows) {
+    if (!windows || !windows.length) return '-';
+    return windows.map((window) => `${this.formatTime(window.start)}-${this.formatTime(window.end)}`).join(' ');
+  }
+
+  // HH:MM in Homey's timezone
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('nl-NL', { hour12: false, timeZone: this.homey.clock.getTimezone() }).substring(0, 5);
+  }
+
+  // timestamp of the next occurrence of HH:MM in Homey's timezone
+  getNextTime(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    if (!Number.isInteger(hours) || !Number.isInteger(minutes)) throw Error(`Invalid time: ${time}`);
+    const now = Date.now();
+    const [nowHours, nowMinutes] = this.formatTime(now).split(':').map(Number);
+    let diff = (hours * 60 + minutes) - (nowHours * 60 + nowMinutes);
+    if (diff <= 0) diff += 24 * 60;
+    return Math.floor(now / 60000) * 60000 + diff * 60000;
+  }
+
+  // lock the car after a grace period, unless it is driven or locked before that
+  autoLock(grace, source) {
+    try {
+      if (!(grace >= 0)) throw Error(`Invalid grace period: ${grace}`);
+      this.cancelAutoLock();
+      this.log(`Auto lock in ${grace} minutes via ${source}`);
+      this.autoLockTimer = this.homey.setTimeout(() => {
+        this.autoLockTimer = null;
+        if (this.getCapabilityValue('engine') || this.getCapabilityValue('locked')) return;
+        this.lock(true, `auto lock after ${grace} minutes`);
+      }, grace * 60 * 1000);
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  cancelAutoLock() {
+    if (!this.autoLockTimer) return;
+    this.homey.clearTimeout(this.autoLockTimer);
+    this.autoLockTimer = null;
+    this.log('Auto lock cancelled');
+  }
+
+  // unlock the car for a while, e.g. for a delivery, when it is parked at home
+  unlockFor(minutes, source) {
+    try {
+      if (!(minutes >= 1 && minutes <= 60)) throw Error(`Invalid unlock period: ${minutes}. Use 1-60 minutes`);
+      if (this.getCapabilityValue('engine')) throw Error('Unlock not possible; engine is on');
+      const distance = this.getCapabilityValue('meter_distance'); // km from home
+      if (!Number.isFinite(distance) || distance * 1000 > (this.settings.homeRadius || 100)) {
+        throw Error('Unlock not possible; the car is not at home');
+      }
+      this.cancelAutoLock();
+      this.log(`Unlocking for ${minutes} minutes via ${source}`);
+      this.enQueue({ command: 'unlockTimed', args: Number(minutes) });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // queued command. The unlock is confirmed by the next status, see followTimedUnlock.
+  async unlockTimed(minutes) {
+    await this.vehicle.unlock();
+    this.setTimedUnlock({
+      minutes, time: Date.now(), checked: false, confirmed: false, doorOpened: false,
+    });
+    this.planRelock();
+  }
+
+  // the server accepted the command; hold the requested states until the car status shows them
+  expectOutcome(item) {
+    const expected = outcomes.expectedOutcome(item.command, item.args, this.lastStatus || {});
+    if (!expected) return;
+    // a newer command for the same state replaces the older one
+    this.confirmations = this.confirmations.filter((pending) => !Object.keys(pending.expected).some((key) => key in expected));
+    this.confirmations.push({
+      command: item.command, expected, time: Date.now(), attempt: 0,
+    });
+    Object.entries(expected).forEach(([cap, value]) => this.setCapability(cap, value));
+    if (!this.confirmationTimer) this.scheduleConfirmationPoll();
+  }
+
+  // confirm the commands that the status shows, and fail and roll back the ones that timed out
+  checkConfirmations(status) {
+    const now = Date.now();
+    this.confirmations = this.confirmations.filter((pending) => {
+      const open = outcomes.unmet(pending.expected, status);
+      const seconds = Math.round((now - pending.time) / 1000);
+      if (!open.length) {
+        this.log(`${this.getName()} ${pending.command} confirmed by the car after ${seconds}s`);
+        this.homey.flow.getDeviceTriggerCard('command_confirmed')
+          .trigger(this, { command: pending.command, seconds })
+          .catch(this.error);
+        return false;
+      }
+      if ((now - pending.time) < outcomes.TIMEOUT) return true;
+      const state = outcomes.formatStates(open, status);
+      this.error(`${this.getName()} ${pending.command} not confirmed by the car after ${seconds}s: ${state}`);
+      this.noteError(`${pending.command} not confirmed: ${state}`);
+      open.forEach((cap) => this.setCapability(cap, status[cap])); // back to what the car reports
+      this.homey.flow.getDeviceTriggerCard('command_not_confirmed')
+        .trigger(this, { command: pending.command, state })
+        .catch(this.error);
+      return false;
+    });
+    if (!this.confirmations.length) this.clearConfirmationTimer();
+  }
+
+  // poll the server with a growing interval until the commands are confirmed or time out. The polls read the status that
+  // the server has cached; only the last one before the timeout wakes up the car, once, and not when the request budget
+  // is low. Shortly after the timeout the commands are failed on the last known status, also when the last poll did not
+  // get through.
+  scheduleConfirmationPoll() {
+    this.clearConfirmationTimer();
+    const [oldest] = this.confirmations;
+    if (!oldest) return;
+    const left = oldest.time + outcomes.TIMEOUT - Date.now();
+    const delay = left > 0 ? Math.min(outcomes.backoff(oldest.attempt), left) : 60 * 1000;
+    const lastPoll = left > 0 && delay === left;
+    oldest.attempt += 1;
+    this.confirmationTimer = this.homey.setTimeout(() => {
+      this.confirmationTimer = null;
+      if (left > 0) {
+        const forceOnce = lastPoll && !oldest.refreshed && !this.account.budgetLow();
+        if (forceOnce) this.confirmations.forEach((pending) => Object.assign(pending, { refreshed: true }));
+        this.enQueue({ command: 'doPoll', args: { forceOnce, logPoll: false } });
+      } else {
+        this.checkConfirmations(this.lastStatus || {});
+      }
+      this.scheduleConfirmationPoll();
+    }, delay);
+  }
+
+  clearConfirmationTimer() {
+    if (!this.confirmationTimer) return;
+    this.homey.clearTimeout(this.confirmationTimer);
+    this.confirmationTimer = null;
+  }
+
+  // the timed unlock is kept in the store, so a restart does not leave the car unlocked
+  setTimedUnlock(unlock) {
+    this.timedUnlock = unlock;
+    this.setStoreValue('timedUnlock', unlock).catch((error) => this.error(error));
+  }
+
+  // confirm a timed unlock on the first status after it, and note opened doors. The relock stays planned also when the
+  // unlock is not confirmed: the car may still unlock late. relock() does nothing when the car is locked then.
+  followTimedUnlock(info) {
+    const unlock = this.timedUnlock;
+    if (!unlock) return;
+    if (unlock.confirmed && (info.locked || info.engine)) {
+      this.log(`${this.getName()} timed unlock ended; the car is ${info.engine ? 'driven' : 'locked'}`);
+      this.cancelTimedUnlock();
+      return;
+    }
+    if (info.locked === false && !unlock.confirmed) {
+      unlock.confirmed = true;
+      this.log(`${this.getName()} unlocked until ${this.formatTime(unlock.time + unlock.minutes * 60 * 1000)}`);
+    } else if (!unlock.checked && !unlock.confirmed) {
+      this.error(`${this.getName()} unlock for ${unlock.minutes} minutes is not confirmed by the car; the relock stays planned`);
+    }
+    unlock.checked = true;
+    if ((info.openItems || []).some((id) => id.startsWith('door'))) unlock.doorOpened = true;
+    this.setTimedUnlock(unlock);
+    this.planRelock(); // again after a restart
+  }
+
+  planRelock() {
+    const unlock = this.timedUnlock;
+    if (!unlock || this.timedUnlockTimer) return;
+    const wait = Math.max(0, unlock.time + unlock.minutes * 60 * 1000 - Date.now());
+    this.timedUnlockTimer = this.homey.setTimeout(() => this.relock(), wait);
+  }
+
+  // lock again at the end of a timed unlock, unless a door was opened: then somebody may still be at the car
+  relock() {
+    const unlock = this.timedUnlock;
+    this.cancelTimedUnlock();
+    if (!unlock) return;
+    if (unlock.doorOpened || this.openItems.some((id) => id.startsWith('door'))) {
+      this.log(`${this.getName()} not locked again after ${unlock.minutes} minutes; a door was opened`);
+      return;
+    }
+    if (this.getCapabilityValue('engine') || this.getCapabilityValue('locked')) return;
+    this.lock(true, `relock after ${unlock.minutes} minutes`);
+  }
+
+  cancelTimedUnlock() {
+    this.clearTimedUnlockTimer();
+    this.setTimedUnlock(null);
+  }
+
+  clearTimedUnlockTimer() {
+    if (!this.timedUnlockTimer) return;
+    this.homey.clearTimeout(this.timedUnlockTimer);
+    this.timedUnlockTimer = null;
+  }
+
+  // trigger once for each item that is opened or left open while the car is parked. Closing one item doesn't report the
+  // items that stay open again; an item that is closed and opened again is reported again.
+  checkLeftOpen(info) {
+    if (!info.openItems) return;
+    const reported = this.leftOpenReported.filter((id) => info.openItems.includes(id));
+    const leftOpen = info.engine ? [] : info.openItems.filter((id) => !reported.includes(id));
+    if (leftOpen.length) {
+      const names = openings.formatOpenings(leftOpen);
+      this.log(`${this.getName()} left open: ${names}`);
+      const openTokens = { openings: names };
+      ['door', 'window', 'trunk', 'hood', 'sunroof'].forEach((type) => {
+        openTokens[type === 'door' || type === 'window' ? `${type}s` : type] = leftOpen.some((id) => id.startsWith(type));
+      });
+      this.homey.flow.getDeviceTriggerCard('left_open')
+        .trigger(this, openTokens)
+        .catch(this.error);
+      reported.push(...leftOpen);
+    }
+    if (reported.join() === this.leftOpenReported.join()) return;
+    this.leftOpenReported = reported;
+    this.setStoreValue('leftOpenReported', reported).catch((error) => this.error(error));
+  }
+
+  // minutes since the car got unlocked, from the locked or else the closed_locked state of the polls.
+  // Triggers 'unlocked too long' for each minute mark that is passed, the cards filter on their own mark.
+  checkUnlockedTime(info) {
+    const unlocked = info.locked === undefined ? info.closed_locked === false : info.locked === false;
+    if (!unlocked) {
+      if (this.unlockedSince) {
+        this.unlockedSince = null;
+        this.setStoreValue('unlockedSince', null).catch((error) => this.error(error));
+      }
+      return;
+    }
+    const since = this.unlockedSince || { time: Date.now(), minutes: 0 };
+    const minutes = Math.floor((Date.now() - since.time) / (60 * 1000));
+    if (minutes > since.minutes) {
+      this.homey.flow.getDeviceTriggerCard('unlocked_too_long')
+        .trigger(this, { minutes, openings: info.openings || '' }, { minutes, previous: since.minutes })
+        .catch(this.error);
+    }
+    this.unlockedSince = { time: since.time, minutes };
+    this.setStoreValue('unlockedSince', this.unlockedSince).catch((error) => this.error(error));
+  }
+
   lock(locked, source) {
     try {
       let command;
@@ -789,10 +1718,11 @@ class CarDevice extends Homey.Device {
     try {
       if (this.getCapabilityValue('engine')) throw Error('Control not possible; engine is on');
       if (!this.getCapabilityValue('climate_control')) throw Error('Climate control not on');
-      this.log(`Temperature set by ${source} to ${temp}`);
-      const args = {
+      this.log(`Temperature set by ${source} to ${temp}°C (${convert.fromCelsius(temp || 22, this.tempUnit)} on the car)`);
+      const args = climate.parseOptions({
         temperature: temp || 22,
-      };
+        duration: this.settings.climateDuration,
+      });
       const command = 'start';
       this.enQueue({ command, args });
       return true;
@@ -801,11 +1731,14 @@ class CarDevice extends Homey.Device {
     }
   }
 
+  // targets for the slow (AC) and fast (DC) charging port. A missing target keeps its current value.
   setChargeTargets(targets = { fast: 100, slow: 80 }, source) {
     try {
       if (!this.isEV) throw Error('Control not possible; not an EV');
-      this.log(`Charge target is set by ${source} to slow:${targets.slow} fast:${targets.fast}`);
-      const args = { fast: Number(targets.fast), slow: Number(targets.slow) };
+      const current = (port) => this.getCapabilityValue(`charge_target_${port}`);
+      const target = (port) => chargeLimits.validateTarget(targets[port] ?? current(port), port);
+      const args = { fast: target('fast'), slow: target('slow') };
+      this.log(`Charge target is set by ${source} to slow:${args.slow} fast:${args.fast}`);
       const command = 'setChargeTargets';
       this.enQueue({ command, args });
       return true;
@@ -814,6 +1747,44 @@ class CarDevice extends Homey.Device {
     }
   }
 
+  // AC charging current limit of 100, 90 or 60%; ccuCCS2 cars only
+  setChargingCurrentLimit(percent, source) {
+    try {
+      if (!this.hasCapability('charge_current_limit')) throw Error('Control not possible; the car has no charging current limit');
+      chargeLimits.currentLevel(percent); // throws on an invalid limit
+      this.log(`Charging current limit set via ${source} to ${percent}%`);
+      this.enQueue({ command: 'setChargingCurrent', args: Number(percent) });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // vehicle-to-load stops discharging the traction battery below this SoC; ccuCCS2 cars only
+  setV2lLimit(soc, source) {
+    try {
+      if (!this.hasCapability('v2l_limit')) throw Error('Control not possible; the car has no V2L discharge limit');
+      const limit = chargeLimits.validateV2lLimit(soc);
+      this.log(`V2L discharge limit set via ${source} to ${limit}%`);
+      this.enQueue({ command: 'setDischargeLimit', args: limit });
+      return true;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // queued command
+  async setChargingCurrent(percent) {
+    await chargeLimits.writeChargingCurrent(this.vehicle, percent);
+    this.setCapability('charge_current_limit', String(percent));
+  }
+
+  // queued command
+  async setDischargeLimit(soc) {
+    await chargeLimits.writeDischargeLimit(this.vehicle, soc);
+    this.setCapability('v2l_limit', soc);
+  }
+
   async setDestination(destination, source) { // free text, latitude/longitude object or nomatim search object
     this.log(`Destination set by ${source} to ${JSON.stringify(destination)}`);
     let searchParam = destination;
@@ -821,7 +1792,7 @@ class CarDevice extends Homey.Device {
     if (destination && destination.latitude && destination.longitude) {
       searchParam = `${destination.latitude},${destination.longitude}`;
     }
-    const dest = await geo.search(searchParam).catch((error) => this.error(error.messsage || error));
+    const dest = await geo.search(searchParam, this.geoOptions).catch((error) => this.error(error.messsage || error));
     if (!dest) throw Error('failed to find location');
     const args = [
       {
@@ -843,6 +1814,28 @@ class CarDevice extends Homey.Device {
     return Promise.resolve(true);
   }
 
+  // run the engine detection of pairing again on a fresh status and car config. When the engine or protocol changed,
+  // the settings are updated and the restart migrates the capabilities, keeping their values.
+  async redetectVehicle(source) {
+    if (!this.account || !this.vehicle) throw Error('Not logged in; wait until the car is connected');
+    this.log(`Re-detecting vehicle via ${source}`);
+    await this.account.login(); // fresh vehicle config
+    const status = await this.account.request(() => this.vehicle.status({ refresh: false, parsed: false }));
+    const { vehicleConfig } = this.vehicle;
+    const engine = this.driver.detectEngine(status, vehicleConfig);
+    const { ccuCCS2ProtocolSupport } = vehicleConfig;
+    const settings = this.getSettings();
+    if (engine === settings.engine && !!ccuCCS2ProtocolSupport === !!settings.ccuCCS2ProtocolSupport) {
+      this.log(`${this.getName()} is still a ${engine}`);
+      return { engine, changed: false };
+    }
+    this.log(`${this.getName()} changed from ${settings.engine} to ${engine}`);
+    await this.setSettings({ engine, ccuCCS2ProtocolSupport, generation: vehicleConfig.generation ?? settings.generation });
+    this.migrated = false;
+    this.restartDevice(500, `vehicle re-detected as ${engine}`).catch((error) => this.error(error));
+    return { engine, changed: true };
+  }
+
   refreshStatus(refresh, source) {
     try {
       if (refresh) {
@@ -863,11 +1856,13 @@ class CarDevice extends Homey.Device {
       this.log(`${this.getName()} starting capability listeners`);
       // capabilityListeners will be overwritten, so no need to unregister them
       this.registerCapabilityListener('locked', (locked) => this.lock(locked, 'app'));
+      this.registerCapabilityListener('button.redetect', () => this.redetectVehicle('app'));
       this.registerCapabilityListener('defrost', (defrost) => this.defrostOnOff(defrost, 'app'));
       this.registerCapabilityListener('climate_control', (acOn) => this.acOnOff(acOn, 'app'));
       this.registerCapabilityListener('target_temperature', async (temp) => this.setTargetTemp(temp, 'app'));
       this.registerCapabilityListener('refresh_status', (refresh) => this.refreshStatus(refresh, 'app'));
       this.registerCapabilityListener('charge', (charge) => this.chargingOnOff(charge, 'app'));
+      this.registerCapabilityListener('charge_current_limit', (percent) => this.setChargingCurrentLimit(percent, 'app'));
       this.registerMultipleCapabilityListener(['charge_target_slow', 'charge_target_fast'], async (values) => {
         const slow = Number(values.charge_target_slow) || Number(this.getCapabilityValue('charge_target_slow'));
         const fast = Number(values.charge_target_fast) || Number(this.getCapabilityValue('charge_target_fast'));
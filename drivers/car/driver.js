@@ -20,148 +20,243 @@ along with com.kia. If not, see <http://www.gnu.org/licenses/>.
 'use strict';
 
 const Homey = require('homey');
-const { BlueLinky } = require('bluelinky');
-const util = require('util');
-
-const setTimeoutPromise = util.promisify(setTimeout);
+const { createClient } = require('../../lib/client');
+const { maskUsername } = require('../../lib/credentials');
 
 module.exports = class MyDriver extends Homey.Driver {
 
   async onInit() {
     this.capabilitiesMap = {
-      'Full EV ccuCCS2': ['target_temperature', 'charge_target_slow', 'charge_target_fast', 'refresh_status', 'locked',
-        'defrost', 'climate_control', 'last_refresh', 'engine', 'closed_locked', 'location', 'meter_distance', 'measure_speed',
-        'measure_range', 'ev_charging_state', 'measure_power.charge', 'meter_power.fuel_economy', 'charge', 'measure_odo',
-        'alarm_tire_pressure', 'alarm_bat', 'measure_battery', 'measure_battery.12V', 'latitude', 'longitude'],
-
-      'Full EV': ['target_temperature', 'charge_target_slow', 'charge_target_fast', 'refresh_status', 'locked',
-        'defrost', 'climate_control', 'last_refresh', 'engine', 'closed_locked', 'location', 'meter_distance', 'measure_speed',
-        'measure_range', 'ev_charging_state', 'charge', 'measure_odo', 'alarm_tire_pressure', 'alarm_bat',
-        'measure_battery', 'measure_battery.12V', 'latitude', 'longitude'],
-
-      PHEV: ['target_temperature', 'refresh_status', 'locked', 'defrost', 'climate_control', 'last_refresh', 'engine', 'closed_locked',
-        'location', 'meter_distance', 'measure_speed', 'measure_range', 'ev_charging_state', 'charge', 'measure_odo',
-        'alarm_tire_pressure', 'alarm_bat', 'measure_battery', 'measure_battery.12V', 'latitude', 'longitude'],
-
-      'HEV/ICE': ['target_temperature', 'refresh_status', 'locked', 'defrost', 'climate_control', 'last_refresh', 'engine',
-        'closed_locked', 'location', 'meter_distance', 'measure_speed', 'measure_range', 'measure_odo', 'alarm_tire_pressure',
-        'alarm_bat', 'measure_battery.12V', 'latitude', 'longitude'],
+      'Full EV ccuCCS2': ['target_temperature', 'charge_target_slow', 'charge_target_fast', 'refresh_status', 'locked', 'defrost',
+        'climate_control', 'last_refresh', 'request_budget', 'engine', 'closed_locked', 'openings', 'location', 'meter_distance',
+        'measure_speed', 'measure_range', 'ev_charging_state', 'measure_power.charge', 'meter_power', 'meter_power.fuel_economy',
+        'charge', 'charge_plan', 'departure_timer', 'offpeak_charging', 'measure_odo', 'alarm_tire_pressure', 'tire_pressure',
+        'measure_tire_pressure.front_left', 'measure_tire_pressure.front_right', 'measure_tire_pressure.rear_left',
+        'measure_tire_pressure.rear_right', 'charge_current_limit', 'v2l_limit', 'alarm_bat', 'measure_battery',
+        'measure_battery.12V', 'latitude', 'longitude', 'button.redetect'],
+
+      'Full EV': ['target_temperature', 'charge_target_slow', 'charge_target_fast', 'refresh_status', 'locked', 'defrost',
+        'climate_control', 'last_refresh', 'request_budget', 'engine', 'closed_locked', 'openings', 'location', 'meter_distance',
+        'measure_speed', 'measure_range', 'ev_charging_state', 'measure_power.charge', 'meter_power', 'charge', 'charge_plan',
+        'departure_timer', 'offpeak_charging', 'measure_odo', 'alarm_tire_pressure', 'tire_pressure', 'alarm_bat',
+        'measure_battery', 'measure_battery.12V', 'latitude', 'longitude', 'button.redetect'],
+
+      PHEV: ['target_temperature', 'refresh_status', 'locked', 'defrost', 'climate_control', 'last_refresh', 'request_budget',
+        'engine', 'closed_locked', 'openings', 'location', 'meter_distance', 'measure_speed', 'measure_range',
+        'ev_charging_state', 'measure_power.charge', 'meter_power', 'charge', 'charge_plan', 'departure_timer', 'offpeak_charging',
+        'measure_odo', 'alarm_tire_pressure', 'tire_pressure', 'alarm_bat', 'measure_battery', 'measure_battery.12V', 'latitude',
+        'longitude', 'button.redetect'],
+
+      'HEV/ICE': ['target_temperature', 'refresh_status', 'locked', 'defrost', 'climate_control', 'last_refresh',
+        'request_budget', 'engine', 'closed_locked', 'openings', 'location', 'meter_distance', 'measure_speed', 'measure_range',
+        'measure_odo', 'alarm_tire_pressure', 'tire_pressure', 'alarm_bat', 'measure_battery.12V', 'latitude', 'longitude',
+        'button.redetect'],
     };
 
     this.log('Driver has been initialized');
   }
 
+  // no logins in the app log
+  log(...args) {
+    super.log(...(this.homey?.app?.credentials?.scrub(args) || args));
+  }
+
+  error(...args) {
+    super.error(...(this.homey?.app?.credentials?.scrub(args) || args));
+  }
+
+  // the login for the credential store, with the brand of the app
+  credentialsOf({
+    region, username, password, pin,
+  }) {
+    return {
+      brand: this.homey.manifest.id.replace('com.', ''), region, username, password, pin,
+    };
+  }
+
+  // engine type from a raw status: 'Full EV', 'Full EV ccuCCS2', 'PHEV' or 'HEV/ICE'
+  detectEngine(status, vehicleConfig) {
+    const isPEV = !!status.evStatus || !!status?.Green?.ChargingInformation?.ConnectorFastening;
+    const isICE = !!status.dte || !!status.fuelLevel
+      || !!status?.evStatus?.drvDistance?.[0]?.rangeByFuel?.gasModeRange?.value
+      || !!status?.Drivetrain?.InternalCombustionEngine;
+    let engine = 'HEV/ICE';
+    if (isPEV && isICE) engine = 'PHEV';
+    if (isPEV && !isICE) engine = 'Full EV';
+    if (isPEV && !isICE && vehicleConfig?.ccuCCS2ProtocolSupport) engine = 'Full EV ccuCCS2';
+    return engine;
+  }
+
+  // log in with the credentials of the pair or repair form; resolves with the vehicles of the account
+  login(settings) {
+    if (!/^\d{4}$/.test(settings.pin || '')) return Promise.reject(Error(this.homey.__('pair.invalid_pin')));
+    const options = {
+      username: settings.username,
+      password: settings.password,
+      pin: settings.pin,
+      brand: this.homey.manifest.id.replace('com.', ''), // 'kia' or 'hyundai'
+      region: settings.region,
+      deviceUuid: 'HomeyPair',
+      autoLogin: true,
+    };
+    const client = createClient(options, Homey.env?.CLIENT_MODE);
+    return new Promise((resolve, reject) => {
+      const timeout = this.homey.setTimeout(() => {
+        this.error('Login timeout!');
+        reject(Error(this.homey.__('pair.pairing_failed', { error: 'timeout' })));
+      }, 15 * 1000);
+      client.on('error', (error) => {
+        this.homey.clearTimeout(timeout);
+        this.error(error);
+        reject(Error(this.homey.__('pair.pairing_failed', { error: error.message || error })));
+      });
+      client.on('ready', (veh) => {
+        this.homey.clearTimeout(timeout);
+        if (!veh || !Array.isArray(veh) || veh.length < 1) {
+          this.error('No vehicles in this account!');
+          reject(Error(this.homey.__('pair.no_vehicles')));
+          return;
+        }
+        resolve(veh);
+      });
+    });
+  }
+
+  // connectivity test of one car: the status gives the engine type, the odometer needs the PIN.
+  // Resolves with { vin, name, model, engine } and an error text when the car did not respond.
+  async checkVehicle(vehicle) {
+    const { vehicleConfig } = vehicle;
+    const check = {
+      vin: vehicleConfig.vin, name: vehicleConfig.nickname, model: vehicleConfig.name, engine: null, error: null,
+    };
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = this.homey.setTimeout(() => reject(Error('timeout')), 30 * 1000);
+    });
+    try {
+      await Promise.race([
+        (async () => {
+          const status = await vehicle.status({ refresh: false, parsed: false });
+          check.engine = this.detectEngine(status, vehicleConfig);
+          await vehicle.odometer();
+        })(),
+        timeout,
+      ]);
+    } catch (error) {
+      this.error(`${check.name} check failed`, error.message || error);
+      check.error = error.message || String(error);
+    }
+    this.homey.clearTimeout(timer);
+    return check;
+  }
+
+  // log in with new credentials for a paired car, and check that the car responds. Throws when it doesn't.
+  async checkCredentials(settings, vin) {
+    const vehicles = await this.login(settings);
+    const vehicle = vehicles.find((veh) => veh.vehicleConfig.vin === vin);
+    if (!vehicle) throw Error(this.homey.__('pair.vehicle_not_found', { vin }));
+    const check = await this.checkVehicle(vehicle);
+    if (check.error) throw Error(this.homey.__('pair.vehicle_failed', { name: check.name, error: check.error }));
+    return check;
+  }
+
   onPair(session) {
     try {
       this.log('Pairing of car started');
 
       let settings;
       let vehicles = [];
+      let checks = [];
 
       session.setHandler('validate', async (data) => {
         this.log('validating credentials');
         settings = data;
-        vehicles = [];
-
-        if (settings.pin.length !== 4) {
-          throw Error(this.homey.__('pair.invalid_pin'));
+        vehicles = await this.login(settings);
+        checks = await Promise.all(vehicles.map((vehicle) => this.checkVehicle(vehicle)));
+        if (checks.every((check) => check.error)) {
+          throw Error(this.homey.__('pair.pairing_failed', { error: checks[0].error }));
         }
-
-        const options = {
-          username: settings.username,
-          password: settings.password,
-          pin: settings.pin,
-          brand: this.homey.manifest.id.replace('com.', ''), // 'kia' or 'hyundai'
-          region: settings.region,
-          deviceUuid: 'HomeyPair',
-          autoLogin: true,
-        };
-
-        const client = new BlueLinky(options);
-
-        const validated = await new Promise((resolve, reject) => {
-          let cancelTimeout = false;
-          client.on('error', (error) => {
-            cancelTimeout = true;
-            this.error(error);
-            reject(Error(this.homey.__('pair.pairing_failed', { error: error.message || error })));
-          });
-          client.on('ready', (veh) => {
-            cancelTimeout = true;
-            if (!veh || !Array.isArray(veh) || veh.length < 1) {
-              this.error('No vehicles in this account!');
-              reject(Error(this.homey.__('pair.no_vehicles')));
-              return;
-            }
-            veh[0].odometer()
-              .then(() => {
-                this.log('CREDENTIALS OK!');
-                vehicles = veh;
-                resolve(true);
-              })
-              .catch(() => {
-                this.error('Incorrect PIN!');
-                reject(Error(this.homey.__('pair.invalid_pin')));
-              });
-          });
-          setTimeoutPromise(15 * 1000) // login timeout
-            .then(() => {
-              if (!cancelTimeout) {
-                this.error('Login timeout!');
-                reject(Error(this.homey.__('pair.pairing_failed', { error: 'timeout' })));
-              }
-            })
-            .catch((error) => this.error(error));
-        });
-        return validated;
+        this.log('CREDENTIALS OK!');
+        return true;
       });
 
+      // the cars of the account with their engine type or error, for the vehicles view
+      session.setHandler('get_vehicles', async () => checks);
+
+      // cars that failed the check are skipped
       session.setHandler('list_devices', async () => {
         this.log('listing of devices started');
-        const devices = vehicles.map(async (vehicle) => {
-          this.log(vehicle.vehicleConfig);
-          const status = await vehicle.status({ refresh: false, parsed: false });
-          // console.dir(status, { depth: null, colors: true });
-          const isPEV = !!status.evStatus || !!status?.Green?.ChargingInformation?.ConnectorFastening;
-          const isICE = !!status.dte || !!status.fuelLevel
-            || !!status?.evStatus?.drvDistance?.[0]?.rangeByFuel?.gasModeRange?.value
-            || !!status?.Drivetrain?.InternalCombustionEngine;
-          let engine = 'HEV/ICE';
-          if (isPEV && isICE) engine = 'PHEV';
-          if (isPEV && !isICE) engine = 'Full EV';
-          if (isPEV && !isICE && vehicle?.vehicleConfig?.ccuCCS2ProtocolSupport) engine = 'Full EV ccuCCS2';
-          return {
-            name: vehicle.vehicleConfig.nickname,
-            data: {
-              id: vehicle.vehicleConfig.vin,
-            },
-            settings: {
-              username: settings.username,
-              password: settings.password,
-              pin: settings.pin,
-              region: settings.region,
-              language: 'en',
-              // pollInterval,
-              nameOrg: vehicle.vehicleConfig.name,
-              idOrg: vehicle.vehicleConfig.id,
-              vin: vehicle.vehicleConfig.vin,
-              regDate: vehicle.vehicleConfig.regDate.split(' ')[0],
-              brandIndicator: vehicle.vehicleConfig.brandIndicator,
-              generation: vehicle.vehicleConfig.generation,
-              ccuCCS2ProtocolSupport: vehicle.vehicleConfig.ccuCCS2ProtocolSupport,
-              engine,
-              lat: Math.round(this.homey.geolocation.getLatitude() * 100000000) / 100000000,
-              lon: Math.round(this.homey.geolocation.getLongitude() * 100000000) / 100000000,
-            },
-            capabilities: this.capabilitiesMap[engine],
-          };
-        });
-        // console.log(await Promise.all(devices));
-        return Promise.all(devices);
+        const accountId = this.homey.app.credentials.save(this.credentialsOf(settings));
+        return vehicles
+          .map((vehicle, index) => ({ vehicle, engine: checks[index].engine, error: checks[index].error }))
+          .filter(({ error }) => !error)
+          .map(({ vehicle, engine }) => {
+            this.log(vehicle.vehicleConfig);
+            return {
+              name: vehicle.vehicleConfig.nickname,
+              data: {
+                id: vehicle.vehicleConfig.vin,
+              },
+              settings: {
+                accountId,
+                username: maskUsername(settings.username),
+                region: settings.region,
+                language: 'en',
+                // pollInterval,
+                nameOrg: vehicle.vehicleConfig.name,
+                idOrg: vehicle.vehicleConfig.id,
+                vin: vehicle.vehicleConfig.vin,
+                regDate: vehicle.vehicleConfig.regDate.split(' ')[0],
+                brandIndicator: vehicle.vehicleConfig.brandIndicator,
+                generation: vehicle.vehicleConfig.generation,
+                ccuCCS2ProtocolSupport: vehicle.vehicleConfig.ccuCCS2ProtocolSupport,
+                engine,
+                lat: Math.round(this.homey.geolocation.getLatitude() * 100000000) / 100000000,
+                lon: Math.round(this.homey.geolocation.getLongitude() * 100000000) / 100000000,
+              },
+              capabilities: this.capabilitiesMap[engine],
+            };
+          });
       });
     } catch (error) {
       this.error(error);
     }
   }
 
+  // update an expired password or PIN, or switch region, without deleting the car
+  onRepair(session, device) {
+    this.log(`Repair of ${device.getName()} started`);
+
+    // the password and PIN stay in the store
+    session.setHandler('get_settings', async () => {
+      const { region, username } = this.homey.app.credentials.get(device.getSettings().accountId) || device.getSettings();
+      return { region, username };
+    });
+
+    // A new password or PIN is stored once, for all cars on the account. Another username or region moves this car
+    // to that account. A password or PIN left blank keeps the stored one.
+    session.setHandler('validate', async (data) => {
+      this.log('validating new credentials');
+      const stored = this.homey.app.credentials.get(device.getSettings().accountId) || {};
+      const credentials = this.credentialsOf({
+        ...data,
+        password: data.password || stored.password,
+        pin: data.pin || stored.pin,
+      });
+      await this.checkCredentials(credentials, device.getData().id);
+      const store = this.homey.app.credentials;
+      const oldId = device.getSettings().accountId;
+      const accountId = store.save(credentials);
+      const cars = this.getDevices().filter((car) => car === device || car.getSettings().accountId === accountId);
+      for (const car of cars) {
+        await car.setSettings({ accountId, username: maskUsername(credentials.username), region: credentials.region });
+        car.migrated = false;
+        car.restartDevice(500, 'credentials repaired').catch((error) => this.error(error));
+      }
+      const inUse = this.getDevices().some((car) => car.getSettings().accountId === oldId);
+      if (oldId && oldId !== accountId && !inUse) store.remove(oldId);
+      return true;
+    });
+  }
+
 };
@@ -0,0 +1,208 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const EventEmitter = require('events');
+const { createClient } = require('./client');
+const { maskUsername } = require('./credentials');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAILY_REQUEST_BUDGET = 200; // server requests per account per day, before the servers answer with 5091
+const USER_RESERVE = 20; // part of the budget that polls leave for user commands
+const LOW_BUDGET = 0.5; // part of the budget left when polling slows down
+const NEARLY_EXHAUSTED = 0.2; // part of the budget left when the cars warn about it
+
+// one login session for all cars on a Kia/Hyundai account. Emits 'ready' with the vehicles after each login, and 'error'.
+// Emits 'usage' after each counted request, and 'nearlyExhausted' once when the request budget runs low.
+class Account extends EventEmitter {
+
+  constructor(options, mode, requestLog = {}) {
+    super();
+    this.options = { ...options };
+    this.mode = mode;
+    this.devices = new Set(); // ids of the devices that use the account
+    this.vehicles = [];
+    this.requests = requestLog.requests || []; // timestamps of the server requests in the last 24 hours
+    this.refreshes = requestLog.refreshes || []; // the requests of those that woke up a car
+    this.budget = options.requestBudget || DAILY_REQUEST_BUDGET;
+    this.nearlyExhausted = false;
+    this.pending = Promise.resolve();
+    this.loggingIn = null;
+    this.loggedIn = false;
+    this.lastLogin = null; // time of the last successful login
+    this.lastError = null; // { time, message } of the last login or server error
+    this.setupClient();
+  }
+
+  setupClient() {
+    if (this.client) this.client.removeAllListeners();
+    this.vehicles = [];
+    this.client = createClient({ ...this.options, autoLogin: false }, this.mode);
+    this.client.on('error', (error) => {
+      // retCode: 'F', resCode: '5091', resMsg: 'Exceeds number of requests'
+      if (error.message && error.message.includes('"resCode":"5091"')) this.exhaust();
+      this.lastError = { time: Date.now(), message: String(error.message || error) };
+      if (this.loggingIn) this.loggedIn = false;
+      if (this.listenerCount('error')) this.emit('error', error);
+    });
+    // BlueLinky only emits 'ready' after a good login
+    this.client.on('ready', (vehicles) => {
+      this.loggedIn = true;
+      this.lastLogin = Date.now();
+      this.vehicles = vehicles;
+      this.emit('ready', vehicles);
+    });
+  }
+
+  // new credentials for the account; all cars get new vehicles after the next login
+  setOptions(options) {
+    if (options.requestBudget) this.budget = options.requestBudget;
+    const changed = ['password', 'pin', 'language'].some((key) => options[key] !== this.options[key]);
+    if (!changed) return;
+    this.options = { ...this.options, ...options };
+    this.loggedIn = false;
+    this.setupClient();
+  }
+
+  // login once for all cars, also when several cars ask at the same time. BlueLinky resolves also when the login
+  // fails: it emits 'error' instead of 'ready' then. So without a 'ready' during the login, the login failed.
+  login() {
+    if (!this.loggingIn) {
+      let ready = false;
+      const onReady = () => {
+        ready = true;
+      };
+      const { client } = this;
+      client.once('ready', onReady);
+      this.loggingIn = client.login()
+        .then((result) => {
+          if (!ready) throw Error(this.lastError?.message || `Login failed: ${result}`);
+          return result;
+        })
+        .catch((error) => {
+          this.loggedIn = false;
+          throw error;
+        })
+        .finally(() => {
+          client.off('ready', onReady);
+          this.loggingIn = null;
+        });
+    }
+    return this.loggingIn;
+  }
+
+  // the vehicles of the account, logging in only when there is no session yet
+  async connect() {
+    if (!this.vehicles.length) await this.login();
+    return this.vehicles;
+  }
+
+  usage() {
+    const since = Date.now() - DAY;
+    this.requests = this.requests.filter((time) => time > since);
+    this.refreshes = this.refreshes.filter((time) => time > since);
+    return {
+      used: this.requests.length,
+      refreshes: this.refreshes.length,
+      budget: this.budget,
+      remaining: Math.max(0, this.budget - this.requests.length),
+    };
+  }
+
+  countRequest() {
+    this.requests.push(Date.now());
+    const usage = this.usage();
+    this.emit('usage', usage);
+    const nearlyExhausted = usage.remaining <= this.budget * NEARLY_EXHAUSTED;
+    if (nearlyExhausted && !this.nearlyExhausted) this.emit('nearlyExhausted', usage);
+    this.nearlyExhausted = nearlyExhausted;
+  }
+
+  // the server says the quota is used up, whatever the count says
+  exhaust() {
+    const now = Date.now();
+    while (this.usage().remaining > 0) this.requests.push(now);
+    this.emit('usage', this.usage());
+  }
+
+  // a request that was counted already woke up the car
+  countRefresh() {
+    this.refreshes.push(Date.now());
+  }
+
+  // true when there is budget left for a poll
+  hasBudget() {
+    return this.usage().remaining > USER_RESERVE;
+  }
+
+  // part of the budget that is left, from 0 to 1
+  budgetLeft() {
+    const { remaining, budget } = this.usage();
+    return remaining / budget;
+  }
+
+  // true when less than half of the budget is left
+  budgetLow() {
+    const { remaining, budget } = this.usage();
+    return remaining <= budget * LOW_BUDGET;
+  }
+
+  // poll interval in minutes that spreads the budget left over the polls of all cars for the next 24 hours
+  pollInterval(interval) {
+    const { remaining } = this.usage();
+    if (!this.budgetLow()) return interval;
+    const polls = Math.max(1, remaining - USER_RESERVE);
+    return Math.max(interval, Math.ceil((24 * 60 * Math.max(1, this.devices.size)) / polls));
+  }
+
+  // run server requests of all cars one at a time, and count them against the budget
+  request(fn) {
+    const run = () => {
+      this.countRequest();
+      return fn();
+    };
+    const result = this.pending.then(run);
+    this.pending = result.catch(() => null);
+    return result;
+  }
+
+  // login state and request count for the diagnostics of the app settings
+  status() {
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      brand: this.options.brand,
+      region: this.options.region,
+      username: maskUsername(this.options.username),
+      loggedIn: this.loggedIn,
+      lastLogin: iso(this.lastLogin),
+      lastError: this.lastError ? { time: iso(this.lastError.time), message: this.lastError.message } : null,
+      cars: [...this.devices],
+      usage: this.usage(),
+    };
+  }
+
+  dispose() {
+    this.client.removeAllListeners();
+    this.removeAllListeners();
+  }
+
+}
+
+module.exports = Account;
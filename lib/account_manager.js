@@ -0,0 +1,77 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const Account = require('./account');
+
+// the accounts of all cars in the app, keyed by brand, region and username
+// the request log of each account is kept in the store (homey.settings), so the budget survives an app restart
+class AccountManager {
+
+  constructor(mode = 'live', store = null) {
+    this.mode = mode;
+    this.store = store;
+    this.accounts = new Map();
+  }
+
+  static key({ brand, region, username }) {
+    return `${brand}:${region}:${String(username).trim().toLowerCase()}`;
+  }
+
+  // the account for a device, created on first use
+  register(deviceId, options) {
+    const key = AccountManager.key(options);
+    let account = this.accounts.get(key);
+    if (!account) {
+      const requestLogs = (this.store && this.store.get('requestLogs')) || {};
+      account = new Account(options, this.mode, requestLogs[key]);
+      account.on('usage', () => this.saveRequestLog(key, account));
+      this.accounts.set(key, account);
+    } else {
+      account.setOptions(options);
+    }
+    account.devices.add(deviceId);
+    return account;
+  }
+
+  saveRequestLog(key, account) {
+    if (!this.store) return;
+    const requestLogs = this.store.get('requestLogs') || {};
+    requestLogs[key] = { requests: account.requests, refreshes: account.refreshes };
+    this.store.set('requestLogs', requestLogs);
+  }
+
+  // status of all accounts, for the diagnostics of the app settings
+  list() {
+    return [...this.accounts.values()].map((account) => account.status());
+  }
+
+  // a device stops using the account; the session ends with the last device
+  release(deviceId, account) {
+    account.devices.delete(deviceId);
+    if (account.devices.size) return;
+    account.dispose();
+    const key = [...this.accounts.keys()].find((accountKey) => this.accounts.get(accountKey) === account);
+    if (key) this.accounts.delete(key);
+  }
+
+}
+
+module.exports = AccountManager;
@@ -0,0 +1,76 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// AC charging current limits in %, by server level of Green.ChargingInformation.ElectricCurrentLevel.State
+const CURRENT_LEVELS = { 1: 100, 2: 90, 3: 60 };
+const CHARGE_TARGETS = [50, 60, 70, 80, 90, 100]; // target SoC per port: slow (AC) and fast (DC)
+const V2L_LIMITS = { min: 20, max: 80 }; // SoC below which vehicle-to-load stops discharging
+
+// read the AC current limit and V2L discharge limit from a raw ccuCCS2 status; undefined when the car does not report them
+const parseChargeLimits = (sts) => {
+  const level = sts?.Green?.ChargingInformation?.ElectricCurrentLevel?.State;
+  const v2l = sts?.Green?.Electric?.SmartGrid?.VehicleToLoad?.DischargeLimitation?.SoC;
+  return {
+    currentLimit: CURRENT_LEVELS[level],
+    v2lLimit: typeof v2l === 'number' ? v2l : undefined,
+  };
+};
+
+const validateTarget = (value, port = 'charge') => {
+  const target = Number(value);
+  if (!CHARGE_TARGETS.includes(target)) throw Error(`Invalid ${port} target: ${value}. Use ${CHARGE_TARGETS.join(', ')}%`);
+  return target;
+};
+
+const currentLevel = (percent) => {
+  const level = Object.keys(CURRENT_LEVELS).find((key) => CURRENT_LEVELS[key] === Number(percent));
+  if (!level) throw Error(`Invalid charging current limit: ${percent}. Use ${Object.values(CURRENT_LEVELS).join(', ')}%`);
+  return Number(level);
+};
+
+const validateV2lLimit = (value) => {
+  const soc = Number(value);
+  if (!Number.isInteger(soc) || soc < V2L_LIMITS.min || soc > V2L_LIMITS.max) {
+    throw Error(`Invalid V2L discharge limit: ${value}. Use ${V2L_LIMITS.min}-${V2L_LIMITS.max}%`);
+  }
+  return soc;
+};
+
+// BlueLinky has no methods for these settings, so use its http service directly
+const post = async (vehicle, path, body) => {
+  const http = await vehicle.controller.getVehicleHttpService();
+  const response = await http.post(`/api/v1/spa/vehicles/${vehicle.vehicleConfig.id}/ccs2/charge/${path}`, { body });
+  return response.body;
+};
+
+const writeChargingCurrent = (vehicle, percent) => post(vehicle, 'chargingcurrent', { chargingCurrent: currentLevel(percent) });
+
+const writeDischargeLimit = (vehicle, soc) => post(vehicle, 'dischargelimit', { dischargingLimit: validateV2lLimit(soc) });
+
+module.exports.CURRENT_LEVELS = CURRENT_LEVELS;
+module.exports.CHARGE_TARGETS = CHARGE_TARGETS;
+module.exports.V2L_LIMITS = V2L_LIMITS;
+module.exports.parseChargeLimits = parseChargeLimits;
+module.exports.validateTarget = validateTarget;
+module.exports.currentLevel = currentLevel;
+module.exports.validateV2lLimit = validateV2lLimit;
+module.exports.writeChargingCurrent = writeChargingCurrent;
+module.exports.writeDischargeLimit = writeDischargeLimit;
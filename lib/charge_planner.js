@@ -0,0 +1,102 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// normalise an hourly price feed to [{ start, price }]
+// accepts a JSON array of numbers starting at the current hour, or objects like { startsAt, total } or { time, price }
+const parsePrices = (prices, now = Date.now()) => {
+  let list = prices;
+  if (typeof prices === 'string') {
+    try {
+      list = JSON.parse(prices);
+    } catch (error) {
+      throw Error('Prices are not valid JSON');
+    }
+  }
+  if (!Array.isArray(list) || list.length < 1) throw Error('Prices must be a JSON array of hourly prices');
+  const hourStart = Math.floor(now / HOUR) * HOUR;
+  return list.map((item, index) => {
+    let start = hourStart + index * HOUR;
+    let price = item;
+    if (item !== null && typeof item === 'object') {
+      const time = item.startsAt || item.time || item.start;
+      if (time !== undefined) start = new Date(time).getTime();
+      price = [item.total, item.price, item.value].find((value) => value !== undefined);
+    }
+    price = Number(price);
+    if (!Number.isFinite(start) || !Number.isFinite(price)) throw Error(`Invalid price at position ${index}`);
+    return { start, price };
+  });
+};
+
+// minutes of charging needed to go from soc to target
+const minutesNeeded = ({
+  soc, target, capacity, power,
+}) => {
+  if (!(capacity > 0) || !(power > 0)) throw Error('Battery capacity and charge power must be set');
+  const energy = (Math.max(0, target - soc) / 100) * capacity; // kWh
+  return Math.ceil((energy / power) * 60);
+};
+
+// Pick the cheapest hours before readyBy until they add up to the minutes needed, and merge adjacent hours into charge
+// windows. The current hour only counts from now, and the last window stops when the minutes needed are done.
+const planCharging = ({
+  prices, minutes, now = Date.now(), readyBy,
+}) => {
+  const slots = prices
+    .filter((slot) => (slot.start + HOUR) > now && (slot.start + HOUR) <= readyBy)
+    .map((slot) => ({ ...slot, from: Math.max(slot.start, now), end: slot.start + HOUR }));
+  const cheapest = [];
+  let planned = 0; // ms
+  [...slots]
+    .sort((a, b) => (a.price - b.price) || (a.start - b.start))
+    .forEach((slot) => {
+      if (planned >= minutes * MINUTE) return;
+      cheapest.push(slot);
+      planned += slot.end - slot.from;
+    });
+  cheapest.sort((a, b) => a.start - b.start);
+  const windows = [];
+  cheapest.forEach((slot) => {
+    const last = windows[windows.length - 1];
+    if (last && last.end === slot.from) {
+      last.end = slot.end;
+      return;
+    }
+    windows.push({ start: slot.from, end: slot.end });
+  });
+  const surplus = Math.max(0, planned - minutes * MINUTE);
+  if (windows.length) windows[windows.length - 1].end -= surplus;
+  const allPrices = cheapest.map((slot) => slot.price);
+  return {
+    windows,
+    minutes: Math.round((planned - surplus) / MINUTE),
+    complete: planned >= minutes * MINUTE, // false when there is not enough time before readyBy
+    priceAvg: allPrices.length ? allPrices.reduce((sum, price) => sum + price, 0) / allPrices.length : 0,
+  };
+};
+
+module.exports.HOUR = HOUR;
+module.exports.parsePrices = parsePrices;
+module.exports.minutesNeeded = minutesNeeded;
+module.exports.planCharging = planCharging;
@@ -0,0 +1,131 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const MAX_SESSIONS = 100; // number of finished sessions kept in the device store
+const MAX_SAMPLES = 200; // number of SoC curve points kept per session
+const HOUR = 60 * 60 * 1000;
+
+const round = (value, decimals = 1) => Math.round(value * (10 ** decimals)) / (10 ** decimals);
+
+// a new session at plug-in
+const startSession = ({
+  time = Date.now(), soc, zone = '', location = '',
+}) => ({
+  id: new Date(time).toISOString(),
+  start: time,
+  socStart: soc,
+  zone,
+  location,
+  energyMetered: 0, // kWh, from the charge power reported by the car
+  chargingTime: 0, // ms
+  powerPeak: 0, // kW
+  samples: [],
+});
+
+// add a status poll to a running session; power is in kW, or null when the car doesn't report it
+const addSample = (session, {
+  time = Date.now(), soc, power = null, charging = false,
+}) => {
+  const s = session;
+  const last = s.samples[s.samples.length - 1];
+  if (last && last.charging) {
+    const hours = (time - last.time) / HOUR;
+    s.chargingTime += time - last.time;
+    if (Number.isFinite(last.power)) s.energyMetered += last.power * hours;
+  }
+  if (Number.isFinite(power)) s.powerPeak = Math.max(s.powerPeak, power);
+  s.samples.push({
+    time, soc, power, charging,
+  });
+  // thin out the curve by dropping every other point of the oldest half
+  if (s.samples.length > MAX_SAMPLES) {
+    const half = Math.floor(MAX_SAMPLES / 2);
+    s.samples = [...s.samples.slice(0, half).filter((sample, index) => index % 2 === 0), ...s.samples.slice(half)];
+  }
+  return s;
+};
+
+// the finished session at unplug. Energy is metered when the car reports charge power, or else estimated from the SoC gain.
+const finishSession = (session, {
+  time = Date.now(), soc, capacity = 0, tariff = 0,
+}) => {
+  const socEnd = Number.isFinite(soc) ? soc : session.samples[session.samples.length - 1]?.soc;
+  const socGain = Math.max(0, (socEnd || 0) - (session.socStart || 0));
+  const metered = session.energyMetered > 0;
+  const energy = metered ? session.energyMetered : (socGain * capacity) / 100;
+  const chargingHours = session.chargingTime / HOUR;
+  return {
+    id: session.id,
+    start: new Date(session.start).toISOString(),
+    end: new Date(time).toISOString(),
+    duration: Math.round((time - session.start) / 60000), // minutes plugged in
+    chargingTime: Math.round(session.chargingTime / 60000), // minutes charging
+    socStart: session.socStart,
+    socEnd,
+    energy: round(energy, 2), // kWh
+    metered,
+    powerPeak: round(session.powerPeak), // kW
+    powerAvg: chargingHours > 0 ? round(energy / chargingHours) : 0, // kW
+    tariff,
+    cost: round(energy * tariff, 2),
+    zone: session.zone,
+    location: session.location,
+    curve: session.samples.map((sample) => ({ time: new Date(sample.time).toISOString(), soc: sample.soc })),
+  };
+};
+
+// keep only the most recent sessions
+const pruneSessions = (sessions) => sessions.slice(-MAX_SESSIONS);
+
+// sessions that started in a month (YYYYMM) in the given time zone, or all sessions without a month
+const filterSessions = (sessions, month, timeZone) => {
+  if (!month) return sessions;
+  return sessions.filter((session) => new Date(session.start)
+    .toLocaleDateString('en-CA', { timeZone })
+    .replace(/-/g, '')
+    .startsWith(month));
+};
+
+// sessions as CSV, one line per session, for expense claims. metered is false for energy estimated from the SoC gain.
+const toCsv = (sessions) => {
+  const columns = ['start', 'end', 'duration', 'socStart', 'socEnd', 'energy', 'metered', 'powerPeak', 'powerAvg', 'tariff', 'cost',
+    'zone', 'location'];
+  const quote = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...sessions.map((session) => columns.map((column) => quote(session[column])).join(','))].join('\n');
+};
+
+// number of sessions, energy and cost of a list of sessions
+const sumSessions = (sessions) => ({
+  sessions: sessions.length,
+  energy: round(sessions.reduce((sum, session) => sum + session.energy, 0), 2),
+  cost: round(sessions.reduce((sum, session) => sum + session.cost, 0), 2),
+});
+
+module.exports.startSession = startSession;
+module.exports.addSample = addSample;
+module.exports.finishSession = finishSession;
+module.exports.pruneSessions = pruneSessions;
+module.exports.filterSessions = filterSessions;
+module.exports.toCsv = toCsv;
+module.exports.sumSessions = sumSessions;
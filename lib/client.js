@@ -0,0 +1,34 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const { BlueLinky } = require('bluelinky');
+const { SimulatedClient } = require('./simulator');
+
+// Clients emit 'ready' with the account vehicles and 'error' after login(). Vehicles have a vehicleConfig,
+// and the status, location, odometer and command methods of BlueLinky.
+// mode 'live': Kia/Hyundai servers via BlueLinky. mode 'simulator': recorded cars, no network needed.
+// Set CLIENT_MODE to 'simulator' in env.json to run the app against the simulated cars.
+const createClient = (options, mode = 'live') => {
+  if (mode === 'simulator') return new SimulatedClient(options);
+  return new BlueLinky(options);
+};
+
+module.exports.createClient = createClient;
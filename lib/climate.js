@@ -0,0 +1,138 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+
+// seat climate states as used by the server: 0 off, 3-5 ventilation low-high, 6-8 heating low-high
+const SEAT_LEVELS = {
+  off: 0,
+  vent_low: 3,
+  vent_medium: 4,
+  vent_high: 5,
+  heat_low: 6,
+  heat_medium: 7,
+  heat_high: 8,
+};
+
+const DEFAULTS = {
+  temperature: 22,
+  duration: 10, // minutes
+  defrost: false,
+  steeringWheel: false,
+  rearWindow: false,
+  driverSeat: 'off',
+  passengerSeat: 'off',
+};
+
+// legacy heating1: 0 off, 1 steering wheel + rear window + side mirrors, 2 rear window only, 3 steering wheel only
+const heatingCode = (steeringWheel, rearWindow) => {
+  if (steeringWheel && rearWindow) return 1;
+  if (rearWindow) return 2;
+  if (steeringWheel) return 3;
+  return 0;
+};
+
+// check and complete climate options
+const parseOptions = (options = {}) => {
+  const opts = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach((key) => {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== '') opts[key] = options[key];
+  });
+  opts.temperature = Number(opts.temperature);
+  opts.duration = Number(opts.duration);
+  opts.defrost = !!opts.defrost;
+  opts.steeringWheel = !!opts.steeringWheel;
+  opts.rearWindow = !!opts.rearWindow;
+  if (!Number.isFinite(opts.temperature)) throw Error(`Invalid temperature: ${options.temperature}`);
+  if (!Number.isInteger(opts.duration) || opts.duration < 1 || opts.duration > 30) throw Error(`Invalid duration: ${options.duration}. Use 1-30 minutes`);
+  ['driverSeat', 'passengerSeat'].forEach((seat) => {
+    if (SEAT_LEVELS[opts[seat]] === undefined) throw Error(`Invalid seat level: ${opts[seat]}`);
+  });
+  return opts;
+};
+
+// body of the climate start request, for the legacy or ccuCCS2 protocol. The temperature option is in Celsius, the car gets
+// its unit. BlueLinky's start() only sends defrost and one heating flag, so the app sends the request itself.
+// Legacy cars take the steering wheel and rear window choice, but no seat levels or run time: they use the run time set in the car.
+const startArgs = (options, ccuCCS2, unit = 'C') => {
+  const opts = parseOptions(options);
+  const temperature = convert.fromCelsius(opts.temperature, unit);
+  if (ccuCCS2) {
+    return {
+      command: 'start',
+      ignitionDuration: opts.duration,
+      hvacTempType: 1,
+      hvacTemp: temperature,
+      tempUnit: unit,
+      windshieldFrontDefogState: opts.defrost,
+      strgWhlHeating: opts.steeringWheel ? 1 : 0,
+      sideRearMirrorHeating: opts.rearWindow ? 1 : 0,
+      drvSeatLoc: 'L',
+      seatClimateInfo: {
+        drvSeatClimateState: SEAT_LEVELS[opts.driverSeat],
+        psgSeatClimateState: SEAT_LEVELS[opts.passengerSeat],
+        rlSeatClimateState: 0,
+        rrSeatClimateState: 0,
+      },
+    };
+  }
+  return {
+    action: 'start',
+    hvacType: 0,
+    options: {
+      defrost: opts.defrost,
+      heating1: heatingCode(opts.steeringWheel, opts.rearWindow),
+    },
+    tempCode: convert.getTempCode(temperature, unit),
+    unit,
+  };
+};
+
+// options of BlueLinky's start(), for the US and CA servers. They take the temperature in the unit of the car and one
+// heating flag, but no seat levels.
+const startOptions = (options, unit = 'C') => {
+  const opts = parseOptions(options);
+  return {
+    hvac: true,
+    duration: opts.duration,
+    temperature: convert.fromCelsius(opts.temperature, unit),
+    defrost: opts.defrost,
+    heatedFeatures: opts.steeringWheel || opts.rearWindow,
+    unit,
+  };
+};
+
+// start climate control with options in Celsius. BlueLinky has an HTTP service for the EU, AU and CN servers only: there the
+// app sends the body of startArgs itself, else it uses BlueLinky's start().
+const writeStart = async (vehicle, options, unit = 'C') => {
+  if (typeof vehicle.controller.getVehicleHttpService !== 'function') return vehicle.start(startOptions(options, unit));
+  const http = await vehicle.controller.getVehicleHttpService();
+  const body = startArgs(options, vehicle.vehicleConfig.ccuCCS2ProtocolSupport, unit);
+  const path = vehicle.vehicleConfig.ccuCCS2ProtocolSupport ? 'ccs2/control/temperature' : 'control/temperature';
+  const response = await http.post(`/api/v2/spa/vehicles/${vehicle.vehicleConfig.id}/${path}`, { body });
+  return response.body;
+};
+
+module.exports.SEAT_LEVELS = SEAT_LEVELS;
+module.exports.parseOptions = parseOptions;
+module.exports.startArgs = startArgs;
+module.exports.startOptions = startOptions;
+module.exports.writeStart = writeStart;
@@ -0,0 +1,225 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const convert = require('./temp_convert');
+
+// server day numbers: 0 = sunday
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+};
+const OFFPEAK_MODES = ['off', 'preferred', 'only']; // index is the server offPeakPowerFlag
+
+// 'mon-fri', 'mon,wed,sat', 'weekdays', 'weekend' or 'daily' to sorted server day numbers
+const parseDays = (text) => {
+  const days = new Set();
+  const parts = String(text || '').toLowerCase().split(/[,\s]+/).filter((part) => part);
+  parts.forEach((part) => {
+    if (DAY_GROUPS[part]) {
+      DAY_GROUPS[part].forEach((day) => days.add(day));
+      return;
+    }
+    const [from, to = from] = part.split('-').map((name) => DAYS.indexOf(name.substring(0, 3)));
+    if (from < 0 || to < 0) throw Error(`Invalid day: ${part}. Use e.g. mon-fri, sat,sun, weekdays or daily`);
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+  if (!days.size) throw Error('At least one day is required');
+  return [...days].sort();
+};
+
+const formatDays = (days = []) => {
+  const sorted = [...days].sort();
+  const group = Object.keys(DAY_GROUPS).find((name) => DAY_GROUPS[name].join() === sorted.join());
+  if (group) return group;
+  return sorted.map((day) => DAYS[day]).join(',');
+};
+
+// 'HH:MM' to server time { time: 'hhmm', timeSection: 0 am / 1 pm }
+const toServerTime = (time) => {
+  const [, hour, min] = String(time).match(/^(\d{1,2}):(\d{2})$/) || [];
+  if (hour === undefined || Number(hour) > 23 || Number(min) > 59) throw Error(`Invalid time: ${time}. Use HH:MM`);
+  const hour12 = (Number(hour) % 12) || 12;
+  return { time: `${String(hour12).padStart(2, '0')}${min}`, timeSection: Number(hour) >= 12 ? 1 : 0 };
+};
+
+const fromServerTime = ({ time = '', timeSection = 0 } = {}) => {
+  const hour12 = Number(time.substring(0, 2)) % 12;
+  const hour = timeSection ? hour12 + 12 : hour12;
+  return `${String(hour).padStart(2, '0')}:${time.substring(2, 4) || '00'}`;
+};
+
+const pad = (value) => String(value || 0).padStart(2, '0');
+
+// departure timer from a legacy reservChargeInfoDetail
+const legacyDeparture = (detail) => {
+  if (!detail) return undefined;
+  const fatc = detail.reservFatcSet || {};
+  return {
+    enabled: !!detail.reservChargeSet,
+    time: fromServerTime(detail.reservInfo?.time),
+    days: detail.reservInfo?.day || [],
+    climate: !!fatc.airCtrl,
+    temperature: fatc.airCtrl ? convert.celsiusFromCode(fatc.airTemp?.value, convert.serverUnit(fatc.airTemp)) : null,
+    defrost: !!fatc.defrost,
+  };
+};
+
+// departure timer from a ccuCCS2 Green.Reservation.Departure.ScheduleX
+const ccs2Departure = (schedule, climate = {}) => {
+  if (!schedule) return undefined;
+  return {
+    enabled: !!schedule.Enable,
+    time: `${pad(schedule.Hour)}:${pad(schedule.Min)}`,
+    days: DAYS.map((day, index) => (schedule[day.charAt(0).toUpperCase() + day.substring(1)] ? index : -1)).filter((day) => day >= 0),
+    climate: !!climate.Activation,
+    temperature: climate.Activation ? Number(climate.Temperature) : null,
+    defrost: !!climate.Defrost,
+  };
+};
+
+// read the departure timers and off-peak charging window of the car from a raw status
+// returns { departures: [timer1, timer2], offPeak: { mode, start, end } }, or undefined when the car has no schedule
+const parseSchedule = (sts) => {
+  const legacy = sts?.vehicleStatus?.evStatus?.reservChargeInfos || sts?.evStatus?.reservChargeInfos;
+  if (legacy?.reservChargeInfo) {
+    const offPeak = legacy.offpeakPowerInfo || legacy.offPeakPowerInfo || {};
+    return {
+      departures: [
+        legacyDeparture(legacy.reservChargeInfo.reservChargeInfoDetail),
+        legacyDeparture(legacy.reserveChargeInfo2?.reservChargeInfoDetail),
+      ].filter(Boolean),
+      offPeak: {
+        mode: OFFPEAK_MODES[offPeak.offPeakPowerFlag] || 'off',
+        start: fromServerTime(offPeak.offPeakPowerTime1?.starttime),
+        end: fromServerTime(offPeak.offPeakPowerTime1?.endtime),
+      },
+    };
+  }
+  const reservation = sts?.Green?.Reservation;
+  if (reservation?.Departure) {
+    const offPeak = reservation.OffPeakTime || {};
+    return {
+      departures: [
+        ccs2Departure(reservation.Departure.Schedule1, reservation.Departure.Climate),
+        ccs2Departure(reservation.Departure.Schedule2, reservation.Departure.Climate),
+      ].filter(Boolean),
+      offPeak: {
+        mode: OFFPEAK_MODES[offPeak.Mode] || 'off',
+        start: `${pad(offPeak.StartHour)}:${pad(offPeak.StartMin)}`,
+        end: `${pad(offPeak.EndHour)}:${pad(offPeak.EndMin)}`,
+      },
+    };
+  }
+  return undefined;
+};
+
+// check and complete a departure timer from a flow
+const parseDeparture = ({
+  time, days, climate = false, temperature = 22, defrost = false,
+}) => {
+  toServerTime(time);
+  if (climate) convert.getTempCode(Number(temperature));
+  return {
+    enabled: true,
+    time,
+    days: Array.isArray(days) ? days : parseDays(days),
+    climate: !!climate,
+    temperature: climate ? Number(temperature) : null,
+    defrost: !!defrost,
+  };
+};
+
+const parseOffPeak = ({ mode, start, end }) => {
+  if (!OFFPEAK_MODES.includes(mode)) throw Error(`Invalid off-peak mode: ${mode}`);
+  toServerTime(start);
+  toServerTime(end);
+  return { mode, start, end };
+};
+
+// the temperature of the timer is in Celsius, the car gets the code of its unit
+const legacyDetail = (departure, unit) => {
+  const timer = {
+    enabled: false, time: '00:00', days: [], climate: false, defrost: false, ...departure,
+  };
+  return {
+    reservChargeSet: timer.enabled,
+    reservInfo: { day: timer.days, time: toServerTime(timer.time) },
+    reservFatcSet: {
+      airCtrl: timer.climate ? 1 : 0,
+      airTemp: {
+        value: timer.climate ? convert.getTempCode(convert.fromCelsius(timer.temperature, unit), unit) : '00H',
+        unit: unit === 'F' ? 1 : 0,
+        hvacTempType: 1,
+      },
+      defrost: timer.defrost,
+      heating1: 0,
+    },
+  };
+};
+
+// request body for /reservation/chargehvac; the server takes the complete schedule in one go
+const scheduleBody = ({ departures = [], offPeak = { mode: 'off', start: '00:00', end: '00:00' } }, unit = 'C') => ({
+  reservChargeInfo: { reservChargeInfoDetail: legacyDetail(departures[0], unit) },
+  reserveChargeInfo2: { reservChargeInfoDetail: legacyDetail(departures[1], unit) },
+  reservFlag: departures.some((departure) => departure?.enabled) ? 1 : 0,
+  offPeakPowerInfo: {
+    offPeakPowerTime1: { starttime: toServerTime(offPeak.start), endtime: toServerTime(offPeak.end) },
+    offPeakPowerFlag: OFFPEAK_MODES.indexOf(offPeak.mode),
+  },
+});
+
+// write the schedule to the car; BlueLinky has no method for this, so use its http service directly
+const writeSchedule = async (vehicle, schedule, unit = 'C') => {
+  const http = await vehicle.controller.getVehicleHttpService();
+  const response = await http.post(`/api/v2/spa/vehicles/${vehicle.vehicleConfig.id}/reservation/chargehvac`, {
+    body: scheduleBody(schedule, unit),
+  });
+  return response.body;
+};
+
+// capability texts, like '07:30 weekdays 21°C' and '23:00-07:00 only'
+const formatDeparture = (departure) => {
+  if (!departure || !departure.enabled) return 'off';
+  const climate = departure.climate ? ` ${departure.temperature}°C` : '';
+  return `${departure.time} ${formatDays(departure.days)}${climate}`;
+};
+
+const formatOffPeak = (offPeak) => {
+  if (!offPeak || offPeak.mode === 'off') return 'off';
+  return `${offPeak.start}-${offPeak.end} ${offPeak.mode}`;
+};
+
+module.exports.DAYS = DAYS;
+module.exports.parseDays = parseDays;
+module.exports.toServerTime = toServerTime;
+module.exports.fromServerTime = fromServerTime;
+module.exports.parseSchedule = parseSchedule;
+module.exports.parseDeparture = parseDeparture;
+module.exports.parseOffPeak = parseOffPeak;
+module.exports.scheduleBody = scheduleBody;
+module.exports.writeSchedule = writeSchedule;
+module.exports.formatDeparture = formatDeparture;
+module.exports.formatOffPeak = formatOffPeak;
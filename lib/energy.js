@@ -0,0 +1,95 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000;
+
+// usable battery capacity in kWh by model name; plug-in hybrids before the EV of the same name
+const MODEL_CAPACITIES = [
+  [/niro.*(phev|plug)/i, 11.1],
+  [/(sorento|sportage|tucson|santa ?fe).*(phev|plug)/i, 13.8],
+  [/x?ceed.*(phev|plug)/i, 8.9],
+  [/ev9/i, 99.8],
+  [/ev6/i, 77.4],
+  [/ev5/i, 88.1],
+  [/ev3/i, 81.4],
+  [/ioniq ?[56]/i, 77.4],
+  [/ioniq/i, 38.3],
+  [/niro|soul|kona/i, 64],
+];
+const DEFAULT_CAPACITY = 64;
+
+const round = (value, decimals = 1) => Math.round(value * (10 ** decimals)) / (10 ** decimals);
+
+// usable capacity of the battery from the model name, or undefined for an unknown model
+const modelCapacity = (name = '') => MODEL_CAPACITIES.find(([pattern]) => pattern.test(name))?.[1];
+
+// the capacity setting wins; 0 means from the car model
+const batteryCapacity = (setting, name) => (setting > 0 ? setting : modelCapacity(name) || DEFAULT_CAPACITY);
+
+// Follow the charge power and the energy charged over status polls. power is in kW, or null when the car doesn't
+// report it. Then the power is estimated from the SoC gain since the last SoC change, and kept until the next change.
+// Returns the new state { time, soc, charging, power, estimated, since, meter, meterEstimated, powerReported }, with meter
+// the total kWh metered from the reported power, and meterEstimated the total kWh estimated from the SoC gain. Estimates
+// never go in meter. powerReported stays set once the car has reported its charge power.
+const trackEnergy = (previous = {}, {
+  time = Date.now(), soc, power = null, charging = false,
+}, capacity = DEFAULT_CAPACITY) => {
+  const state = {
+    time,
+    soc,
+    charging,
+    power: 0,
+    estimated: false,
+    since: null,
+    meter: previous.meter || 0,
+    meterEstimated: previous.meterEstimated || 0,
+    powerReported: !!previous.powerReported || Number.isFinite(power),
+  };
+  const socGain = Number.isFinite(previous.soc) && soc > previous.soc ? soc - previous.soc : 0;
+  if (Number.isFinite(power)) {
+    state.power = charging ? power : 0;
+    if (previous.charging && !previous.estimated) state.meter += previous.power * ((time - previous.time) / HOUR);
+  } else if (charging) {
+    state.estimated = true;
+    state.since = previous.since || { time, soc };
+    state.power = previous.estimated ? previous.power : null;
+    const hours = (time - state.since.time) / HOUR;
+    if (soc > state.since.soc && hours > 0) {
+      state.power = round((((soc - state.since.soc) / 100) * capacity) / hours, 2);
+      state.since = { time, soc };
+    }
+  }
+  if (!Number.isFinite(power) && (charging || previous.charging)) state.meterEstimated += (socGain / 100) * capacity;
+  state.meter = round(state.meter, 3);
+  state.meterEstimated = round(state.meterEstimated, 3);
+  return state;
+};
+
+// the total kWh charged for Homey Energy: metered for a car that reports its charge power, else estimated. A car keeps
+// its meter when a power reading is missing, so the total never jumps between the two.
+const meterTotal = (state) => (state.powerReported ? state.meter : state.meterEstimated);
+
+module.exports.MODEL_CAPACITIES = MODEL_CAPACITIES;
+module.exports.DEFAULT_CAPACITY = DEFAULT_CAPACITY;
+module.exports.modelCapacity = modelCapacity;
+module.exports.batteryCapacity = batteryCapacity;
+module.exports.trackEnergy = trackEnergy;
+module.exports.meterTotal = meterTotal;
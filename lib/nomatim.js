@@ -19,14 +19,38 @@ along with com.gruijter.hyundai_kia. If not, see <http://www.gnu.org/licenses/>.
 
 'use strict';
 
+const http = require('http');
 const https = require('https');
 const qs = require('querystring');
-// const util = require('util');
+const util = require('util');
+const geofence = require('./zones');
+
+const setTimeoutPromise = util.promisify(setTimeout);
+
+const CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const CACHE_SIZE = 200; // locations
+const MIN_INTERVAL = 1000; // ms between requests, as the Nominatim usage policy asks
+
+// public servers of the geocoding providers. Set options.url to use a self-hosted server instead.
+// provider 'places' uses only the known places, without network.
+const PROVIDERS = {
+  nominatim: 'https://nominatim.openstreetmap.org',
+  photon: 'https://photon.komoot.io',
+};
+
+const config = {
+  userAgent: 'Homey Hyundai_Kia',
+  store: null, // persistent store of the cache, like homey.settings
+};
+const cache = new Map(); // rounded 'lat,lon' => { time, local, address }, oldest first
+let lastRequest = 0;
+let queue = Promise.resolve();
 
 const _makeHttpsRequest = (options = {}) => new Promise((resolve, reject) => {
   const opts = options;
   opts.timeout = options.timeout || 5000;
-  const req = https.request(opts, (res) => {
+  const transport = opts.protocol === 'http:' ? http : https;
+  const req = transport.request(opts, (res) => {
     let resBody = '';
     res.on('data', (chunk) => {
       resBody += chunk;
@@ -49,12 +73,94 @@ const _makeHttpsRequest = (options = {}) => new Promise((resolve, reject) => {
   req.end();
 });
 
-const search = async (params) => {
+// one request at a time, and at most one per MIN_INTERVAL
+const throttle = (fn) => {
+  const run = queue.then(async () => {
+    const wait = lastRequest + MIN_INTERVAL - Date.now();
+    if (wait > 0) await setTimeoutPromise(wait);
+    lastRequest = Date.now();
+    return fn();
+  });
+  queue = run.catch(() => null);
+  return run;
+};
+
+// GET json from the server of the provider
+const getJson = async (path, query, options, errTxt) => {
+  const server = new URL(options.url || PROVIDERS[options.provider] || PROVIDERS.nominatim);
+  const headers = {
+    'Content-Length': 0,
+    'User-Agent': config.userAgent,
+  };
+  const reqOptions = {
+    protocol: server.protocol,
+    hostname: server.hostname,
+    port: server.port || undefined,
+    path: `${server.pathname.replace(/\/$/, '')}${path}?${qs.stringify(query)}`,
+    headers,
+    method: 'GET',
+  };
+  const result = await throttle(() => _makeHttpsRequest(reqOptions));
+  if (result.statusCode !== 200 || !String(result.headers['content-type']).includes('json')) {
+    throw Error(`${errTxt}: ${result.statusCode}`);
+  }
+  return JSON.parse(result.body);
+};
+
+// a Photon (GeoJSON) feature in the Nominatim jsonv2 format
+const fromPhoton = (feature) => {
+  const props = feature.properties || {};
+  const [lon, lat] = feature.geometry?.coordinates || [];
+  const address = {
+    road: props.street,
+    house_number: props.housenumber,
+    postcode: props.postcode,
+    city_district: props.district,
+    city: props.city,
+    county: props.county,
+    state: props.state,
+    country: props.country,
+    country_code: props.countrycode?.toLowerCase(),
+  };
+  Object.keys(address).forEach((key) => address[key] === undefined && delete address[key]);
+  const street = [props.street, props.housenumber].filter(Boolean).join(' ');
+  return {
+    lat: String(lat),
+    lon: String(lon),
+    display_name: [props.name, street, props.postcode, props.city, props.country].filter(Boolean).join(', '),
+    address,
+    extratags: {},
+    namedetails: { name: props.name },
+  };
+};
+
+// a known place in the Nominatim jsonv2 format
+const fromPlace = (place) => ({
+  lat: String(place.latitude),
+  lon: String(place.longitude),
+  display_name: place.name,
+  address: {},
+  extratags: {},
+  namedetails: { name: place.name },
+});
+
+// options: { provider: 'nominatim' | 'photon' | 'places', url: self-hosted server, places: [{ name, latitude, longitude, radius }] }
+const search = async (params, options = {}) => {
   try {
     const errTxt = 'Parameter needs to be a string or an object with street, city, county, state, country, postalcode';
     if (typeof params === 'object') {
       if (!Object.keys(params).some((key) => ['street', 'city', 'county', 'state', 'country', 'postalcode'].includes(key))) throw Error(errTxt);
     } else if (typeof params !== 'string') throw Error(errTxt);
+    const place = typeof params === 'string'
+      && (options.places || []).find((known) => known.name.toLowerCase() === params.trim().toLowerCase());
+    if (place) return Promise.resolve(fromPlace(place));
+    if (options.provider === 'places') throw Error('location not found');
+    if (options.provider === 'photon') {
+      const q = typeof params === 'string' ? params : Object.values(params).join(', ');
+      const jsonData = await getJson('/api', { q, limit: 1 }, options, 'geo search service error');
+      if (!jsonData.features?.length) throw Error('location not found');
+      return Promise.resolve(fromPhoton(jsonData.features[0]));
+    }
     const query = {
       format: 'jsonv2', // [xml|json|jsonv2|geojson|geocodejson]
       addressdetails: 1,
@@ -65,21 +171,7 @@ const search = async (params) => {
     };
     if (typeof params === 'string') query.q = params;
     if (typeof params === 'object') Object.assign(query, params);
-    const headers = {
-      'Content-Length': 0,
-    };
-    const options = {
-      hostname: 'nominatim.openstreetmap.org',
-      path: `/search?${qs.stringify(query)}`,
-      headers,
-      'User-Agent': 'Homey Hyundai_Kia',
-      method: 'GET',
-    };
-    const result = await _makeHttpsRequest(options, '');
-    if (result.statusCode !== 200 || result.headers['content-type'] !== 'application/json; charset=UTF-8') {
-      throw Error(`geo search service error: ${result.statusCode}`);
-    }
-    const jsonData = JSON.parse(result.body);
+    const jsonData = await getJson('/search', query, options, 'geo search service error');
     if (jsonData.length < 1) throw Error('location not found');
     // console.log(util.inspect(jsonData, { depth: null, colors: true }));
     return Promise.resolve(jsonData[0]);
@@ -88,8 +180,12 @@ const search = async (params) => {
   }
 };
 
-const reverseGeo = async (lat, lon) => {
+const reverseGeo = async (lat, lon, options = {}) => {
   try {
+    if (options.provider === 'photon') {
+      const jsonData = await getJson('/reverse', { lat, lon, limit: 1 }, options, 'reverse geo service error');
+      return Promise.resolve(jsonData.features?.length ? fromPhoton(jsonData.features[0]) : {});
+    }
     const query = {
       format: 'jsonv2', // [xml|json|jsonv2|geojson|geocodejson]
       // osm_type: 'N', // [N|W|R] node / way / relation, preferred over lat,lon
@@ -101,21 +197,7 @@ const reverseGeo = async (lat, lon) => {
       // extratags: 1, // [0|1] Include additional information in the result if available, e.g. wikipedia link, opening hours.
       // namedetails: 1, // [0|1] Include a list of alternative names in the results. language variants, references, operator and brand
     };
-    const headers = {
-      'Content-Length': 0,
-    };
-    const options = {
-      hostname: 'nominatim.openstreetmap.org',
-      path: `/reverse?${qs.stringify(query)}`,
-      headers,
-      'User-Agent': 'Homey Hyundai_Kia',
-      method: 'GET',
-    };
-    const result = await _makeHttpsRequest(options, '');
-    if (result.statusCode !== 200 || !result.headers['content-type'].includes('json')) {
-      throw Error(`reverse geo service error: ${result.statusCode}`);
-    }
-    const jsonData = JSON.parse(result.body);
+    const jsonData = await getJson('/reverse', query, options, 'reverse geo service error');
     // console.log(util.inspect(jsonData, { depth: null, colors: true }));
     return Promise.resolve(jsonData);
   } catch (error) {
@@ -131,26 +213,74 @@ const test = () => {
   return Promise.all(resArray);
 };
 
-const getCarLocString = async (location) => {
+// ~10 m, so a parked car stays on one cache entry
+const cacheKey = (location) => `${Number(location.latitude).toFixed(4)},${Number(location.longitude).toFixed(4)}`;
+
+const remember = (key, locString) => {
+  cache.delete(key);
+  cache.set(key, { time: Date.now(), ...locString });
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  if (config.store) config.store.set('geoCache', [...cache.entries()]);
+};
+
+// the name of a known place, or the coordinates, when there is no address
+const offlineLocString = (location, places = []) => {
+  const [place] = geofence.getZonesAt(location, places);
+  if (place) return { local: place, address: place };
+  const coords = `${Number(location.latitude).toFixed(5)}, ${Number(location.longitude).toFixed(5)}`;
+  return { local: coords, address: coords };
+};
+
+// options as for search(). Addresses are cached for CACHE_TTL; without network the cache or offlineLocString is used.
+const getCarLocString = async (location, options = {}) => {
   try {
-    let local = '-?-';
-    let address = '-?-';
-    const loc = await reverseGeo(location.latitude, location.longitude);
+    if (!Number.isFinite(location?.latitude) || !Number.isFinite(location?.longitude)) {
+      return Promise.resolve({ local: '-?-', address: '-?-' });
+    }
+    if (options.provider === 'places') return Promise.resolve(offlineLocString(location, options.places));
+    const key = cacheKey(location);
+    const cached = cache.get(key);
+    if (cached && (Date.now() - cached.time) < CACHE_TTL) return Promise.resolve({ local: cached.local, address: cached.address });
+    const loc = await reverseGeo(location.latitude, location.longitude, options).catch(() => null);
+    if (!loc) { // no network or service error
+      if (cached) return Promise.resolve({ local: cached.local, address: cached.address });
+      return Promise.resolve(offlineLocString(location, options.places));
+    }
     if (!loc.address) { // no reverse geolocation available
-      return Promise.resolve({ location, address });
+      return Promise.resolve(offlineLocString(location, options.places));
     }
     // const countryCode = loc.address.country_code.toUpperCase();
-    local = loc.address.city_district || loc.address.village || loc.address.town || loc.address.city
+    const local = loc.address.city_district || loc.address.village || loc.address.town || loc.address.city
       || loc.address.municipality || loc.address.county || loc.address.state_district || loc.address.state || loc.address.region;
     // locString = `${countryCode}${loc.address.postcode} ${local}`;
     // local = `${local}`;
-    address = loc.display_name;
+    const address = loc.display_name;
+    remember(key, { local, address });
     return Promise.resolve({ local, address });
   } catch (error) {
     return Promise.reject(error);
   }
 };
 
+// load the cache from a persistent store (homey.settings), and set the User-Agent header of the requests
+const setup = ({ store, userAgent } = {}) => {
+  if (userAgent) config.userAgent = userAgent;
+  if (!store) return;
+  config.store = store;
+  const now = Date.now();
+  (store.get('geoCache') || []).forEach(([key, locString]) => {
+    if ((now - locString.time) < CACHE_TTL) cache.set(key, locString);
+  });
+};
+
+const clearCache = () => {
+  cache.clear();
+  if (config.store) config.store.set('geoCache', []);
+};
+
+module.exports.PROVIDERS = PROVIDERS;
+module.exports.setup = setup;
+module.exports.clearCache = clearCache;
 module.exports.test = test;
 module.exports.search = search;
 module.exports.reverseGeo = reverseGeo;
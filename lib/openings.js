@@ -0,0 +1,83 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// every opening of the car, with its name for flows and logs
+const OPENINGS = {
+  door_front_left: 'driver door',
+  door_front_right: 'passenger door',
+  door_rear_left: 'rear left door',
+  door_rear_right: 'rear right door',
+  window_front_left: 'driver window',
+  window_front_right: 'passenger window',
+  window_rear_left: 'rear left window',
+  window_rear_right: 'rear right window',
+  trunk: 'trunk',
+  hood: 'hood',
+  sunroof: 'sunroof',
+};
+
+// open state of a value that can be 0/1, true/false, or missing
+const isOpen = (value) => (value === undefined || value === null ? undefined : !!value);
+
+// open state of each opening from a legacy (vehicleStatus) or ccuCCS2 (Date) status; undefined when the car doesn't report it
+const parseOpenings = (sts) => {
+  if (!sts) return {};
+  if (sts.Date) {
+    const { Door, Window } = sts.Cabin || {};
+    return {
+      door_front_left: isOpen(Door?.Row1?.Driver?.Open),
+      door_front_right: isOpen(Door?.Row1?.Passenger?.Open),
+      door_rear_left: isOpen(Door?.Row2?.Left?.Open),
+      door_rear_right: isOpen(Door?.Row2?.Right?.Open),
+      window_front_left: isOpen(Window?.Row1?.Driver?.Open),
+      window_front_right: isOpen(Window?.Row1?.Passenger?.Open),
+      window_rear_left: isOpen(Window?.Row2?.Left?.Open),
+      window_rear_right: isOpen(Window?.Row2?.Right?.Open),
+      trunk: isOpen(sts.Body?.Trunk?.Open),
+      hood: isOpen(sts.Body?.Hood?.Open),
+      sunroof: isOpen(sts.Body?.Sunroof?.Glass?.Open),
+    };
+  }
+  return {
+    door_front_left: isOpen(sts.doorOpen?.frontLeft),
+    door_front_right: isOpen(sts.doorOpen?.frontRight),
+    door_rear_left: isOpen(sts.doorOpen?.backLeft),
+    door_rear_right: isOpen(sts.doorOpen?.backRight),
+    window_front_left: isOpen(sts.windowOpen?.frontLeft),
+    window_front_right: isOpen(sts.windowOpen?.frontRight),
+    window_rear_left: isOpen(sts.windowOpen?.backLeft),
+    window_rear_right: isOpen(sts.windowOpen?.backRight),
+    trunk: isOpen(sts.trunkOpen),
+    hood: isOpen(sts.hoodOpen),
+    sunroof: isOpen(sts.sunroofOpen),
+  };
+};
+
+// ids of the open openings, in the order of OPENINGS
+const openItems = (openings) => Object.keys(OPENINGS).filter((id) => openings[id]);
+
+// 'closed', or the names of the open openings like 'trunk, rear left window'
+const formatOpenings = (items) => (items.length ? items.map((id) => OPENINGS[id]).join(', ') : 'closed');
+
+module.exports.OPENINGS = OPENINGS;
+module.exports.parseOpenings = parseOpenings;
+module.exports.openItems = openItems;
+module.exports.formatOpenings = formatOpenings;
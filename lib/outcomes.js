@@ -0,0 +1,62 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// the mapped status a command should lead to. Commands without an outcome in the status, like setNavigation, are not confirmed.
+const OUTCOMES = {
+  lock: () => ({ locked: true }),
+  unlock: () => ({ locked: false }),
+  unlockTimed: () => ({ locked: false }),
+  start: (args) => (args.defrost ? { climate_control: true, defrost: true } : { climate_control: true }),
+  stop: () => ({ climate_control: false, defrost: false }),
+  startCharge: () => ({ charge: true }),
+  stopCharge: () => ({ charge: false }),
+  setChargeTargets: (args) => ({ charge_target_slow: String(args.slow), charge_target_fast: String(args.fast) }),
+  setChargingCurrent: (percent) => ({ charge_current_limit: String(percent) }),
+  setDischargeLimit: (soc) => ({ v2l_limit: soc }),
+};
+
+const TIMEOUT = 5 * 60 * 1000; // a command that is not confirmed after this is failed
+const BACKOFF = [30, 60, 120]; // seconds between the polls that check a command, the last one repeats
+
+const backoff = (attempt) => BACKOFF[Math.min(attempt, BACKOFF.length - 1)] * 1000;
+
+// expected states of the command, only those that the car reports in its status
+const expectedOutcome = (command, args, status = {}) => {
+  const outcome = OUTCOMES[command];
+  if (!outcome) return null;
+  const expected = {};
+  Object.entries(outcome(args ?? {})).forEach(([key, value]) => {
+    if (status[key] !== undefined && status[key] !== null) expected[key] = value;
+  });
+  return Object.keys(expected).length ? expected : null;
+};
+
+// the expected states that the status does not show yet
+const unmet = (expected, status) => Object.keys(expected).filter((key) => status[key] !== expected[key]);
+
+// like 'charge false, defrost true', for logs and flow tokens
+const formatStates = (keys, status) => keys.map((key) => `${key} ${status[key]}`).join(', ');
+
+module.exports.TIMEOUT = TIMEOUT;
+module.exports.backoff = backoff;
+module.exports.expectedOutcome = expectedOutcome;
+module.exports.unmet = unmet;
+module.exports.formatStates = formatStates;
@@ -0,0 +1,66 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const GeoPoint = require('geopoint');
+const { CHARGE_TARGETS } = require('./charge_limits');
+
+// road distance in km to go from one location to another and back. detour is road km per straight line km.
+const roundTrip = (from, to, detour = 1.3) => {
+  const start = new GeoPoint(Number(from.latitude), Number(from.longitude));
+  const end = new GeoPoint(Number(to.latitude), Number(to.longitude));
+  return Math.round(start.distanceTo(end, true) * 2 * detour * 10) / 10;
+};
+
+// range at the charge target when the car is plugged in, else the current range. soc is undefined for a car without EV battery.
+const projectedRange = ({
+  range, soc, target, pluggedIn,
+}) => {
+  if (!pluggedIn || !(soc > 0) || !(target > soc)) return range;
+  return Math.round((range / soc) * target);
+};
+
+// can the car make the trip, and what SoC and charge target does it need for it
+// reserve is the range in km that should be left on arrival back home
+const checkTrip = ({
+  distance, range, soc, target, pluggedIn, reserve = 0,
+}) => {
+  if (!Number.isFinite(range)) throw Error('The range of the car is not known');
+  const reach = projectedRange({
+    range, soc, target, pluggedIn,
+  });
+  const result = {
+    distance,
+    range: reach,
+    reachable: reach >= distance + reserve,
+    socNeeded: null,
+    chargeTarget: null,
+  };
+  if (soc > 0 && range > 0) {
+    const kmPerPercent = range / soc;
+    result.socNeeded = Math.min(Math.ceil((distance + reserve) / kmPerPercent), 999);
+    result.chargeTarget = CHARGE_TARGETS.find((level) => level >= result.socNeeded) || 100;
+  }
+  return result;
+};
+
+module.exports.roundTrip = roundTrip;
+module.exports.projectedRange = projectedRange;
+module.exports.checkTrip = checkTrip;
@@ -0,0 +1,311 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const util = require('util');
+const departure = require('./departure');
+const convert = require('./temp_convert');
+
+const setTimeoutPromise = util.promisify(setTimeout);
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+const resMsgs = {
+  4002: 'Invalid request',
+  4004: 'Duplicate request - Duplicate request',
+  5091: 'Exceeds number of requests',
+};
+
+// error like the ones BlueLinky throws for a failed server request
+const serverError = (resCode) => {
+  const body = { retCode: 'F', resCode: String(resCode), resMsg: resMsgs[resCode] || 'Unknown error' };
+  return Error(`@SimulatedVehicle: ${JSON.stringify(body)}`);
+};
+
+// a car that replays recorded raw status payloads, in legacy (vehicleStatus/time) or ccuCCS2 (Date) format
+class SimulatedVehicle {
+
+  constructor({ vehicleConfig, recording, trips = [] }, client) {
+    this.vehicleConfig = { ...vehicleConfig };
+    this.client = client;
+    this.recording = clone(recording);
+    this.trips = clone(trips);
+    this.index = 0;
+    this.state = clone(this.recording[0]);
+    this.failures = {};
+    this.ignored = {};
+    this.calls = [];
+    this.reservation = null; // the departure schedule written by the app, kept over the recording
+    this.chargeLimits = {}; // charging current and V2L limits written by the app, kept over the recording
+    // the server endpoints that BlueLinky has no vehicle method for
+    const endpoints = {
+      '/control/temperature': (body) => this.request('start', body, () => this.startClimate(body)),
+      '/reservation/chargehvac': (body) => this.request('setReservation', body, () => this.setReservation(body)),
+      '/charge/chargingcurrent': (body) => this.request('setChargingCurrent', body, () => this.setChargeLimits(body)),
+      '/charge/dischargelimit': (body) => this.request('setDischargeLimit', body, () => this.setChargeLimits(body)),
+    };
+    // like BlueLinky, only the EU, AU and CN controllers have an HTTP service
+    this.controller = {};
+    if (!['US', 'CA'].includes(client.options.region)) {
+      this.controller.getVehicleHttpService = async () => ({
+        post: async (url, { body }) => {
+          const endpoint = Object.keys(endpoints).find((path) => url.endsWith(path));
+          if (!endpoint) throw serverError(4002);
+          return { body: await endpoints[endpoint](body) };
+        },
+      });
+    }
+  }
+
+  get ccuCCS2() {
+    return !!this.vehicleConfig.ccuCCS2ProtocolSupport;
+  }
+
+  // make the next command fail with a server resCode, e.g. 4004 or 5091
+  failNext(command, resCode, times = 1) {
+    this.failures[command] = [...(this.failures[command] || []), ...Array(times).fill(resCode)];
+  }
+
+  // the server accepts the next command, but the car does not follow it, like a car out of mobile reach
+  ignoreNext(command, times = 1) {
+    this.ignored[command] = (this.ignored[command] || 0) + times;
+  }
+
+  // the car moves on to its next recorded status; returns false at the end of the recording
+  advance() {
+    if (this.index >= this.recording.length - 1) return false;
+    this.index += 1;
+    this.state = clone(this.recording[this.index]);
+    if (this.reservation) this.setReservation(this.reservation);
+    if (this.ccuCCS2) this.setChargeLimits(this.chargeLimits);
+    return true;
+  }
+
+  async request(command, args, handler) {
+    this.calls.push({ command, args });
+    await setTimeoutPromise(this.client.options.latency);
+    const failures = this.failures[command];
+    if (failures && failures.length) {
+      const error = serverError(failures.shift());
+      this.client.emit('error', error);
+      throw error;
+    }
+    if (this.ignored[command] > 0) {
+      this.ignored[command] -= 1;
+      return 'OK';
+    }
+    return handler();
+  }
+
+  async status(input = {}) {
+    return this.request('status', input, () => (this.ccuCCS2 ? clone(this.state) : clone(this.state.vehicleStatus)));
+  }
+
+  async fullStatus(input = {}) {
+    return this.request('fullStatus', input, () => clone(this.state));
+  }
+
+  async location() {
+    return this.request('location', undefined, () => {
+      if (this.ccuCCS2) {
+        const { GeoCoord, Speed, Heading } = this.state.Location;
+        return {
+          latitude: GeoCoord.Latitude, longitude: GeoCoord.Longitude, altitude: GeoCoord.Altitude, speed: { value: Speed.Value, unit: Speed.Unit }, heading: Heading,
+        };
+      }
+      const { coord, speed, head } = this.state.vehicleLocation;
+      return {
+        latitude: coord.lat, longitude: coord.lon, altitude: coord.alt, speed: { ...speed }, heading: head,
+      };
+    });
+  }
+
+  async odometer() {
+    return this.request('odometer', undefined, () => {
+      if (this.ccuCCS2) return { value: this.state.Drivetrain.Odometer, unit: 1 };
+      return { ...this.state.odometer };
+    });
+  }
+
+  async lock() {
+    return this.request('lock', undefined, () => this.setLock(true));
+  }
+
+  async unlock() {
+    return this.request('unlock', undefined, () => this.setLock(false));
+  }
+
+  setLock(locked) {
+    if (this.ccuCCS2) {
+      const { Door } = this.state.Cabin;
+      [Door.Row1.Driver, Door.Row1.Passenger, Door.Row2.Left, Door.Row2.Right].forEach((door) => {
+        const d = door;
+        d.Lock = locked ? 0 : 1;
+      });
+    } else {
+      this.state.vehicleStatus.doorLock = locked;
+    }
+    return 'OK';
+  }
+
+  // BlueLinky's start() of the US and CA vehicles, with the temperature in the unit of the car
+  async start(options) {
+    return this.request('start', options, () => {
+      if (this.ccuCCS2) {
+        this.state.Cabin.HVAC.Row1.Driver.Temperature.Value = String(options.temperature);
+        this.state.Body.Windshield.Front.Defog.State = options.defrost ? 1 : 0;
+      } else {
+        this.state.vehicleStatus.airCtrlOn = true;
+        this.state.vehicleStatus.defrost = !!options.defrost;
+        this.state.vehicleStatus.airTemp = {
+          ...this.state.vehicleStatus.airTemp,
+          value: convert.getTempCode(options.temperature, options.unit),
+          unit: options.unit === 'F' ? 1 : 0,
+        };
+      }
+      return 'OK';
+    });
+  }
+
+  // body of /control/temperature or /ccs2/control/temperature
+  startClimate(body) {
+    if (this.ccuCCS2) {
+      this.state.Cabin.HVAC.Row1.Driver.Temperature.Value = String(body.hvacTemp);
+      this.state.Body.Windshield.Front.Defog.State = body.windshieldFrontDefogState ? 1 : 0;
+    } else {
+      this.state.vehicleStatus.airCtrlOn = true;
+      this.state.vehicleStatus.defrost = !!body.options.defrost;
+      this.state.vehicleStatus.airTemp = { ...this.state.vehicleStatus.airTemp, value: body.tempCode, unit: body.unit === 'F' ? 1 : 0 };
+    }
+    return { retCode: 'S', resCode: '0000' };
+  }
+
+  async stop(options = {}) {
+    return this.request('stop', options, () => {
+      if (this.ccuCCS2) {
+        this.state.Cabin.HVAC.Row1.Driver.Temperature.Value = 'OFF';
+        this.state.Body.Windshield.Front.Defog.State = 0;
+      } else {
+        this.state.vehicleStatus.airCtrlOn = false;
+        this.state.vehicleStatus.defrost = false;
+      }
+      return 'OK';
+    });
+  }
+
+  async startCharge() {
+    return this.request('startCharge', undefined, () => this.setCharging(true));
+  }
+
+  async stopCharge() {
+    return this.request('stopCharge', undefined, () => this.setCharging(false));
+  }
+
+  setCharging(charging) {
+    if (this.ccuCCS2) {
+      const info = this.state.Green.ChargingInformation;
+      if (!info.ConnectorFastening.State) throw serverError(4002); // not plugged in
+      info.Charging.RemainTime = charging ? 95 : 0;
+    } else {
+      const { evStatus } = this.state.vehicleStatus;
+      if (!evStatus.batteryPlugin) throw serverError(4002); // not plugged in
+      evStatus.batteryCharge = charging;
+    }
+    return 'OK';
+  }
+
+  async setChargeTargets(limits) {
+    return this.request('setChargeTargets', limits, () => {
+      if (this.ccuCCS2) {
+        this.state.Green.ChargingInformation.TargetSoC = { Standard: limits.slow, Quick: limits.fast };
+      } else {
+        const targets = this.state.vehicleStatus.evStatus.reservChargeInfos.targetSOClist;
+        targets.forEach((target) => {
+          const t = target;
+          t.targetSOClevel = t.plugType === 0 ? limits.fast : limits.slow;
+        });
+      }
+    });
+  }
+
+  // body of /reservation/chargehvac
+  setReservation(body) {
+    this.reservation = clone(body);
+    if (this.ccuCCS2) {
+      const { departures, offPeak } = departure.parseSchedule({ evStatus: { reservChargeInfos: body } });
+      const schedule = (timer) => {
+        const days = {};
+        departure.DAYS.forEach((day, index) => {
+          days[day.charAt(0).toUpperCase() + day.substring(1)] = timer.days.includes(index) ? 1 : 0;
+        });
+        const [hour, min] = timer.time.split(':').map(Number);
+        return {
+          Enable: timer.enabled ? 1 : 0, Hour: hour, Min: min, ...days,
+        };
+      };
+      const climate = departures.find((timer) => timer.enabled) || departures[0]; // ccuCCS2 cars have one departure climate
+      const [startHour, startMin] = offPeak.start.split(':').map(Number);
+      const [endHour, endMin] = offPeak.end.split(':').map(Number);
+      this.state.Green.Reservation = {
+        Departure: {
+          Schedule1: schedule(departures[0]),
+          Schedule2: schedule(departures[1]),
+          Climate: { Activation: climate.climate ? 1 : 0, Temperature: String(climate.temperature || 0), Defrost: climate.defrost ? 1 : 0 },
+        },
+        OffPeakTime: {
+          Mode: body.offPeakPowerInfo.offPeakPowerFlag, StartHour: startHour, StartMin: startMin, EndHour: endHour, EndMin: endMin,
+        },
+      };
+    } else {
+      const infos = this.state.vehicleStatus.evStatus.reservChargeInfos;
+      infos.reservChargeInfo = clone(body.reservChargeInfo);
+      infos.reserveChargeInfo2 = clone(body.reserveChargeInfo2);
+      infos.offpeakPowerInfo = clone(body.offPeakPowerInfo);
+      infos.reservFlag = body.reservFlag;
+    }
+    return { retCode: 'S', resCode: '0000' };
+  }
+
+  // body of /ccs2/charge/chargingcurrent or /ccs2/charge/dischargelimit; ccuCCS2 cars only
+  setChargeLimits(body) {
+    if (!this.ccuCCS2) throw serverError(4002);
+    this.chargeLimits = { ...this.chargeLimits, ...body };
+    const { ChargingInformation, Electric } = this.state.Green;
+    if (this.chargeLimits.chargingCurrent) ChargingInformation.ElectricCurrentLevel = { State: this.chargeLimits.chargingCurrent };
+    if (this.chargeLimits.dischargingLimit) {
+      Electric.SmartGrid.VehicleToLoad = { DischargeLimitation: { SoC: this.chargeLimits.dischargingLimit, RemainTime: 0 } };
+    }
+    return { retCode: 'S', resCode: '0000' };
+  }
+
+  async setNavigation(poiInformations) {
+    return this.request('setNavigation', poiInformations, () => undefined);
+  }
+
+  async tripInfo(date) {
+    return this.request('tripInfo', date, () => this.trips
+      .filter((trip) => trip.index <= this.index)
+      .reduce((dayTrips, trip) => [...dayTrips, ...clone(trip.dayTrips)], []));
+  }
+
+}
+
+module.exports = SimulatedVehicle;
+module.exports.serverError = serverError;
@@ -0,0 +1,61 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const EventEmitter = require('events');
+const util = require('util');
+const SimulatedVehicle = require('./simulated_vehicle');
+const recordings = require('./simulator_recordings.json');
+
+const setTimeoutPromise = util.promisify(setTimeout);
+
+// stands in for the BlueLinky client, with the recorded cars as vehicles of the account
+class SimulatedClient extends EventEmitter {
+
+  constructor(options = {}) {
+    super();
+    this.options = { latency: 1000, ...options };
+    this.vehicles = recordings.vehicles.map((vehicle) => new SimulatedVehicle(vehicle, this));
+    if (this.options.autoLogin) {
+      setImmediate(() => {
+        this.login().catch(() => null);
+      });
+    }
+  }
+
+  async login() {
+    await setTimeoutPromise(this.options.latency);
+    if (!this.options.username || !this.options.password) {
+      // like BlueLinky: the error is emitted, and login resolves with its message
+      const error = Error('@SimulatedClient: login failed, username and password are required');
+      this.emit('error', error);
+      return error.message;
+    }
+    this.emit('ready', this.vehicles);
+    return 'Login success';
+  }
+
+  getVehicles() {
+    return this.vehicles;
+  }
+
+}
+
+module.exports.SimulatedClient = SimulatedClient;
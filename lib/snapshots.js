@@ -0,0 +1,56 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// keys of a status or vehicle config that identify the owner, the car or the session
+const REDACT_KEYS = ['password', 'pin', 'username', 'email', 'vin', 'token', 'accesstoken', 'refreshtoken', 'authorization',
+  'deviceid', 'stamp', 'phone'];
+
+// deep copy with the values of private keys replaced
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+  const copy = {};
+  Object.entries(value).forEach(([key, val]) => {
+    copy[key] = REDACT_KEYS.includes(key.toLowerCase()) && val !== '' && val !== null ? '***' : redact(val);
+  });
+  return copy;
+};
+
+// capabilities with a new value between two mapped statuses, as [{ capability, from, to }]
+const diff = (previous = {}, mapped = {}, capabilities = Object.keys(mapped)) => capabilities
+  .filter((cap) => mapped[cap] !== undefined && JSON.stringify(mapped[cap]) !== JSON.stringify(previous?.[cap] ?? null))
+  .map((cap) => ({ capability: cap, from: previous?.[cap] ?? null, to: mapped[cap] }));
+
+// one line for the log, like 'locked false > true, measure_odo 8120 > 8131.5'
+const formatDiff = (changes) => changes
+  .map((change) => `${change.capability} ${JSON.stringify(change.from)} > ${JSON.stringify(change.to)}`)
+  .join(', ');
+
+// add a snapshot to the ring buffer, keeping the last size snapshots
+const addSnapshot = (buffer, snapshot, size = 10) => {
+  if (size < 1) return [];
+  return [...(buffer || []), snapshot].slice(-size);
+};
+
+module.exports.redact = redact;
+module.exports.diff = diff;
+module.exports.formatDiff = formatDiff;
+module.exports.addSnapshot = addSnapshot;
@@ -1,142 +1,117 @@
-/* eslint-disable strict */
-exports.getTempCode = (temperature) => {
-  switch (temperature) {
-    case 15.0:
-      return '02H';
-    case 15.5:
-      return '03H';
-    case 16.0:
-      return '04H';
-    case 16.5:
-      return '05H';
-    case 17.0:
-      return '06H';
-    case 17.5:
-      return '07H';
-    case 18.0:
-      return '08H';
-    case 18.5:
-      return '09H';
-    case 19.0:
-      return '0AH';
-    case 19.5:
-      return '0BH';
-    case 20.0:
-      return '0CH';
-    case 20.5:
-      return '0DH';
-    case 21.0:
-      return '0EH';
-    case 21.5:
-      return '0FH';
-    case 22.0:
-      return '10H';
-    case 22.5:
-      return '11H';
-    case 23.0:
-      return '12H';
-    case 23.5:
-      return '13H';
-    case 24.0:
-      return '14H';
-    case 24.5:
-      return '15H';
-    case 25.0:
-      return '16H';
-    case 25.5:
-      return '17H';
-    case 26.0:
-      return '18H';
-    case 26.5:
-      return '19H';
-    case 27.0:
-      return '1AH';
-    case 27.5:
-      return '1BH';
-    case 28.0:
-      return '1CH';
-    case 28.5:
-      return '1DH';
-    case 29.0:
-      return '1EH';
-    case 29.5:
-      return '1FH';
-    case 30.0:
-      return '20H';
-    default:
-      throw new Error(`${temperature} temperature out of bounds! min: 15.0* max: 30*, max step: 0.5`);
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// temperature unit of the account region: US and CA servers use Fahrenheit. The server airTemp.unit is 0 for C, 1 for F.
+const REGION_UNITS = { US: 'F', CA: 'F' };
+const SERVER_UNITS = ['C', 'F'];
+
+// server code tables per unit. LO and HI are max cooling and max heating, just outside the range of the car.
+const hexCode = (index) => `${index.toString(16).toUpperCase().padStart(2, '0')}H`;
+const buildTable = ({
+  min, max, step, code, lo, hi,
+}) => {
+  const codes = [{ temperature: 'LO', code: lo }];
+  for (let index = 0; min + index * step <= max; index += 1) {
+    codes.push({ temperature: min + index * step, code: code(index) });
   }
+  codes.push({ temperature: 'HI', code: hi });
+  return {
+    min, max, step, codes,
+  };
 };
 
-exports.getTempFromCode = (code) => {
-  switch (code) {
-    case '00H':
-      return null;
-    case '01H':
-      return 15.0;
-    case '02H':
-      return 15.0;
-    case '03H':
-      return 15.5;
-    case '04H':
-      return 16.0;
-    case '05H':
-      return 16.5;
-    case '06H':
-      return 17.0;
-    case '07H':
-      return 17.5;
-    case '08H':
-      return 18.0;
-    case '09H':
-      return 18.5;
-    case '0AH':
-      return 19.0;
-    case '0BH':
-      return 19.5;
-    case '0CH':
-      return 20.0;
-    case '0DH':
-      return 20.5;
-    case '0EH':
-      return 21.0;
-    case '0FH':
-      return 21.5;
-    case '10H':
-      return 22.0;
-    case '11H':
-      return 22.0;
-    case '12H':
-      return 23.0;
-    case '13H':
-      return 23.5;
-    case '14H':
-      return 24.0;
-    case '15H':
-      return 24.5;
-    case '16H':
-      return 25.0;
-    case '17H':
-      return 25.5;
-    case '18H':
-      return 26.0;
-    case '19H':
-      return 26.5;
-    case '1AH':
-      return 27.0;
-    case '1BH':
-      return 27.5;
-    case '1CH':
-      return 28.0;
-    case '1DH':
-      return 28.5;
-    case '1EH':
-      return 29.0;
-    case '1FH':
-      return 29.5;
-    case '20H':
-      return 30.0;
-    default:
-      throw new Error(`${code} temperature out of bounds! min: 15.0* max: 30*, max step: 0.5`);
-  }
+const TABLES = {
+  C: buildTable({
+    min: 15, max: 30, step: 0.5, code: (index) => hexCode(index + 2), lo: '01H', hi: '21H',
+  }),
+  F: buildTable({
+    min: 62, max: 82, step: 1, code: (index) => String(62 + index), lo: 'LO', hi: 'HI',
+  }),
+};
+
+const OFF_CODE = '00H';
+
+const table = (unit) => {
+  if (!TABLES[unit]) throw Error(`Invalid temperature unit: ${unit}. Use C or F`);
+  return TABLES[unit];
+};
+
+// the unit setting wins; 'auto' follows the region of the account
+const unitFor = (region, setting = 'auto') => (TABLES[setting] ? setting : REGION_UNITS[region] || 'C');
+
+// unit of a server airTemp object
+const serverUnit = (airTemp) => SERVER_UNITS[airTemp?.unit] || 'C';
+
+// server code of a temperature in the unit, or of 'LO' or 'HI'
+const getTempCode = (temperature, unit = 'C') => {
+  const { min, max, step } = table(unit);
+  const value = typeof temperature === 'string' && Number.isNaN(Number(temperature)) ? temperature.toUpperCase() : Number(temperature);
+  const entry = table(unit).codes.find((item) => item.temperature === value);
+  if (!entry) throw Error(`${temperature} temperature out of bounds! min: ${min}°${unit} max: ${max}°${unit}, step: ${step}, or LO or HI`);
+  return entry.code;
+};
+
+// temperature in the unit of a server code. LO and HI read as the ends of the range, the off code as null.
+const getTempFromCode = (code, unit = 'C') => {
+  if (code === OFF_CODE) return null;
+  const { min, max, codes } = table(unit);
+  const entry = codes.find((item) => item.code === String(code).toUpperCase());
+  if (!entry) throw Error(`${code} is not a °${unit} temperature code`);
+  if (entry.temperature === 'LO') return min;
+  if (entry.temperature === 'HI') return max;
+  return entry.temperature;
+};
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Homey works in Celsius. To the temperature of the car in its unit: rounded to its step, and LO or HI outside its range.
+const fromCelsius = (celsius, unit = 'C') => {
+  const { min, max, step } = table(unit);
+  const value = roundTo(unit === 'F' ? (Number(celsius) * 9) / 5 + 32 : Number(celsius), step);
+  if (!Number.isFinite(value)) throw Error(`Invalid temperature: ${celsius}`);
+  if (value < min) return 'LO';
+  if (value > max) return 'HI';
+  return value;
+};
+
+// temperature of the car in its unit to Celsius, rounded to 0.5
+const toCelsius = (temperature, unit = 'C') => {
+  if (temperature === null || temperature === undefined) return null;
+  const { min, max } = table(unit);
+  let value = Number(temperature);
+  if (temperature === 'LO') value = min;
+  if (temperature === 'HI') value = max;
+  return roundTo(unit === 'F' ? ((value - 32) * 5) / 9 : value, 0.5);
 };
+
+// Celsius of a server code in the unit
+const celsiusFromCode = (code, unit = 'C') => toCelsius(getTempFromCode(code, unit), unit);
+
+module.exports.REGION_UNITS = REGION_UNITS;
+module.exports.TABLES = TABLES;
+module.exports.OFF_CODE = OFF_CODE;
+module.exports.unitFor = unitFor;
+module.exports.serverUnit = serverUnit;
+module.exports.getTempCode = getTempCode;
+module.exports.getTempFromCode = getTempFromCode;
+module.exports.fromCelsius = fromCelsius;
+module.exports.toCelsius = toCelsius;
+module.exports.celsiusFromCode = celsiusFromCode;
@@ -0,0 +1,97 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const MAX_TRIPS = 100; // number of trips kept in the device store
+const MAX_DAYS = 62; // number of daily totals kept
+const MAX_MONTHS = 24; // number of monthly totals kept
+
+const round = (value, decimals = 1) => Math.round(value * (10 ** decimals)) / (10 ** decimals);
+
+// convert bluelinky tripInfo({ year, month, day }) result to a flat list of trips
+const parseDayTrips = (dayTrips) => {
+  if (!Array.isArray(dayTrips)) return [];
+  const trips = [];
+  dayTrips.forEach((day) => {
+    if (!day || !Array.isArray(day.trips)) return;
+    day.trips.forEach((trip) => {
+      trips.push({
+        id: `${day.dayRaw}${trip.timeRaw}`,
+        day: day.dayRaw, // YYYYMMDD
+        start: trip.start ? new Date(trip.start).toISOString() : null,
+        end: trip.end ? new Date(trip.end).toISOString() : null,
+        distance: Number(trip.distance) || 0, // km
+        duration: Number(trip?.durations?.drive) || 0, // minutes
+        idle: Number(trip?.durations?.idle) || 0, // minutes
+        speedAvg: Number(trip?.speed?.avg) || 0, // km/h
+        speedMax: Number(trip?.speed?.max) || 0, // km/h
+        energy: 0, // kWh, estimated
+        batteryUsed: 0, // %, estimated
+      });
+    });
+  });
+  return trips.sort((a, b) => a.id.localeCompare(b.id));
+};
+
+// estimate energy use per trip from drive economy (km/kWh) and the EV battery drop since the previous park (%)
+const addEnergy = (trips, { economy, batteryUsed } = {}) => {
+  const totalDistance = trips.reduce((sum, trip) => sum + trip.distance, 0);
+  trips.forEach((trip) => {
+    const t = trip;
+    if (economy > 0) t.energy = round(trip.distance / economy, 2);
+    if (batteryUsed > 0 && totalDistance > 0) t.batteryUsed = round((batteryUsed * trip.distance) / totalDistance);
+  });
+  return trips;
+};
+
+const emptyTotals = () => ({
+  trips: 0, distance: 0, duration: 0, energy: 0,
+});
+
+// add a trip to the daily and monthly totals, and drop the oldest periods
+const addToTotals = (totals, trip) => {
+  const tot = { days: { ...totals?.days }, months: { ...totals?.months } };
+  [[tot.days, trip.day, MAX_DAYS], [tot.months, trip.day.substring(0, 6), MAX_MONTHS]].forEach(([periods, key, max]) => {
+    const p = periods;
+    const total = { ...(p[key] || emptyTotals()) };
+    total.trips += 1;
+    total.distance = round(total.distance + trip.distance);
+    total.duration += trip.duration;
+    total.energy = round(total.energy + trip.energy, 2);
+    p[key] = total;
+    Object.keys(p).sort().slice(0, -max).forEach((oldKey) => delete p[oldKey]);
+  });
+  return tot;
+};
+
+// get the totals for a day (YYYYMMDD) or month (YYYYMM)
+const getTotals = (totals, key) => {
+  const periods = key.length === 6 ? totals?.months : totals?.days;
+  return { ...emptyTotals(), ...periods?.[key] };
+};
+
+// keep only the most recent trips
+const pruneTrips = (trips) => trips.slice(-MAX_TRIPS);
+
+module.exports.parseDayTrips = parseDayTrips;
+module.exports.addEnergy = addEnergy;
+module.exports.addToTotals = addToTotals;
+module.exports.getTotals = getTotals;
+module.exports.pruneTrips = pruneTrips;
@@ -0,0 +1,92 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// every wheel of the car, with its name for flows and logs
+const WHEELS = {
+  front_left: 'front left',
+  front_right: 'front right',
+  rear_left: 'rear left',
+  rear_right: 'rear right',
+};
+
+// ccuCCS2 Chassis.Axle.Tire.PressureUnit to bar. Unknown units are taken as psi.
+const BAR_PER_UNIT = {
+  1: 0.0689476, // psi
+  2: 0.01, // kPa
+  3: 1, // bar
+};
+
+// low state of a value that can be 0/1, true/false, or missing
+const isLow = (value) => (value === undefined || value === null ? undefined : !!value);
+
+const toBar = (pressure, unit) => {
+  if (!Number.isFinite(pressure) || pressure <= 0) return undefined; // 0 or missing when the sensor has no reading
+  return Math.round(pressure * (BAR_PER_UNIT[unit] || BAR_PER_UNIT[1]) * 100) / 100;
+};
+
+// tire state from a legacy (vehicleStatus) or ccuCCS2 (Date) status: { alarm, wheels: { front_left: { low, pressure } .. } }
+// low and pressure (bar) are undefined when the car doesn't report them. The legacy protocol has no pressures.
+const parseTyres = (sts) => {
+  const wheels = {};
+  if (!sts) return { alarm: false, wheels };
+  if (sts.Date) {
+    const axle = sts.Chassis?.Axle || {};
+    const unit = axle.Tire?.PressureUnit;
+    const tires = {
+      front_left: axle.Row1?.Left?.Tire,
+      front_right: axle.Row1?.Right?.Tire,
+      rear_left: axle.Row2?.Left?.Tire,
+      rear_right: axle.Row2?.Right?.Tire,
+    };
+    Object.keys(WHEELS).forEach((wheel) => {
+      wheels[wheel] = { low: isLow(tires[wheel]?.PressureLow), pressure: toBar(tires[wheel]?.Pressure, unit) };
+    });
+    const alarm = !!axle.Tire?.PressureLow || Object.values(wheels).some((tire) => tire.low);
+    return { alarm, wheels };
+  }
+  const lamps = sts.tirePressureLamp || {};
+  const lampIds = {
+    front_left: 'tirePressureLampFL',
+    front_right: 'tirePressureLampFR',
+    rear_left: 'tirePressureLampRL',
+    rear_right: 'tirePressureLampRR',
+  };
+  Object.keys(WHEELS).forEach((wheel) => {
+    wheels[wheel] = { low: isLow(lamps[lampIds[wheel]]), pressure: undefined };
+  });
+  const alarm = !!lamps.tirePressureLampAll || Object.values(wheels).some((tire) => tire.low);
+  return { alarm, wheels };
+};
+
+// ids of the wheels with low pressure, in the order of WHEELS
+const lowWheels = (tyres) => Object.keys(WHEELS).filter((wheel) => tyres.wheels[wheel]?.low);
+
+// 'ok', 'low' when the car doesn't say which wheel, or the low wheels like 'rear left low'
+const formatTyres = (tyres) => {
+  const low = lowWheels(tyres);
+  if (low.length) return `${low.map((wheel) => WHEELS[wheel]).join(', ')} low`;
+  return tyres.alarm ? 'low' : 'ok';
+};
+
+module.exports.WHEELS = WHEELS;
+module.exports.parseTyres = parseTyres;
+module.exports.lowWheels = lowWheels;
+module.exports.formatTyres = formatTyres;
@@ -0,0 +1,69 @@
+/*
+Copyright 2025, RM de Gruijter (rmdegruijter@gmail.com)
+
+This file is part of com.kia and com.hyundai
+
+com.kia is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+com.kia is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with com.kia. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+const GeoPoint = require('geopoint');
+
+const DEFAULT_RADIUS = 100; // meters
+
+// parse zones text: one zone per line as 'name, latitude, longitude[, radius in meters]'
+const parseZones = (text = '') => {
+  const zones = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    const [name, lat, lon, radius] = line.split(',').map((part) => part.trim());
+    const zone = {
+      name,
+      latitude: Number(lat),
+      longitude: Number(lon),
+      radius: radius ? Number(radius) : DEFAULT_RADIUS,
+    };
+    if (!name || [lat, lon].some((value) => value === undefined || value === '')
+      || !Number.isFinite(zone.latitude) || Math.abs(zone.latitude) > 90
+      || !Number.isFinite(zone.longitude) || Math.abs(zone.longitude) > 180
+      || !Number.isFinite(zone.radius) || zone.radius <= 0) {
+      throw Error(`Invalid zone on line ${index + 1}: '${line.trim()}'. Use: name, latitude, longitude, radius`);
+    }
+    if (zones.some((z) => z.name.toLowerCase() === name.toLowerCase())) throw Error(`Duplicate zone name: ${name}`);
+    zones.push(zone);
+  });
+  return zones;
+};
+
+// distance between a location and a zone center in meters
+const distanceTo = (location, zone) => {
+  const from = new GeoPoint(Number(location.latitude), Number(location.longitude));
+  const to = new GeoPoint(Number(zone.latitude), Number(zone.longitude));
+  return from.distanceTo(to, true) * 1000;
+};
+
+// get the names of all zones that contain the location, nearest first
+const getZonesAt = (location, zones) => {
+  if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) return [];
+  if (location.latitude === 0 && location.longitude === 0) return [];
+  return zones
+    .map((zone) => ({ name: zone.name, distance: distanceTo(location, zone), radius: zone.radius }))
+    .filter((zone) => zone.distance <= zone.radius)
+    .sort((a, b) => a.distance - b.distance)
+    .map((zone) => zone.name);
+};
+
+module.exports.parseZones = parseZones;
+module.exports.getZonesAt = getZonesAt;
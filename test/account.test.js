@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+  createDevice, createHomey, waitForQueue, triggered, AccountManager,
+} = require('./helpers');
+
+test('cars on one account share a single login', async () => {
+  const homey = createHomey();
+  const [niro, ev9] = await Promise.all([
+    createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' }),
+    createDevice({ homey, vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' }),
+  ]);
+  assert.strictEqual(homey.app.accounts.accounts.size, 1);
+  assert.strictEqual(niro.account, ev9.account);
+  assert.strictEqual(niro.vehicle.vehicleConfig.vin, 'SIMKNA0000000001');
+  assert.strictEqual(ev9.vehicle.vehicleConfig.vin, 'SIMKNA0000000002');
+  assert.strictEqual(niro.getCapabilityValue('measure_battery'), 64);
+  assert.strictEqual(ev9.getCapabilityValue('measure_battery'), 55);
+});
+
+test('a car that joins later uses the running session', async () => {
+  const homey = createHomey();
+  const niro = await createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  let logins = 0;
+  const { client } = niro.account;
+  const login = client.login.bind(client);
+  client.login = () => {
+    logins += 1;
+    return login();
+  };
+  const ev9 = await createDevice({ homey, vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  assert.strictEqual(logins, 0);
+  assert.strictEqual(ev9.vehicle.vehicleConfig.vin, 'SIMKNA0000000002');
+  await Promise.all([niro.account.login(), ev9.account.login()]);
+  assert.strictEqual(logins, 1);
+});
+
+test('server requests of all cars on an account run one at a time', async () => {
+  const homey = createHomey();
+  const niro = await createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  let running = 0;
+  let maxRunning = 0;
+  const job = async () => {
+    running += 1;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise((resolve) => setImmediate(resolve));
+    running -= 1;
+  };
+  const { used } = niro.account.usage();
+  await Promise.all([niro.account.request(job), niro.account.request(job), niro.account.request(job)]);
+  assert.strictEqual(maxRunning, 1);
+  assert.strictEqual(niro.account.usage().used, used + 3);
+});
+
+test('polls stop when the request budget of the account is used up', async () => {
+  const homey = createHomey();
+  const niro = await createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  niro.account.requests = Array(niro.account.budget).fill(Date.now());
+  niro.vehicle.calls.length = 0;
+  niro.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: false } });
+  await waitForQueue(niro);
+  assert.strictEqual(niro.vehicle.calls.length, 0);
+  niro.enQueue({ command: 'lock' });
+  await waitForQueue(niro);
+  assert.strictEqual(niro.vehicle.calls[0].command, 'lock');
+});
+
+test('the session ends when the last car leaves the account', async () => {
+  const homey = createHomey();
+  const niro = await createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const ev9 = await createDevice({ homey, vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  const { account } = niro;
+  niro.releaseAccount();
+  assert.strictEqual(homey.app.accounts.accounts.size, 1);
+  assert.strictEqual(account.listenerCount('ready'), 1);
+  ev9.releaseAccount();
+  assert.strictEqual(homey.app.accounts.accounts.size, 0);
+  assert.strictEqual(account.listenerCount('ready'), 0);
+});
+
+test('counts requests and refreshes against the daily budget', async () => {
+  const niro = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const before = niro.account.usage();
+  await niro.refreshStatus(true, 'test');
+  await waitForQueue(niro);
+  const after = niro.account.usage();
+  assert.ok(after.used > before.used);
+  assert.strictEqual(after.refreshes, before.refreshes + 1);
+  assert.strictEqual(niro.getCapabilityValue('request_budget'), after.remaining);
+});
+
+test('polling slows down and a trigger fires as the budget runs low', async () => {
+  const niro = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV', settings: { requestBudget: 100 } });
+  const { account } = niro;
+  assert.strictEqual(niro.activePollInterval, 15);
+  account.requests = Array(70).fill(Date.now());
+  account.countRequest();
+  // 29 left, 20 of those for commands: 9 polls for 24 hours
+  assert.strictEqual(niro.activePollInterval, 160);
+  assert.strictEqual(triggered(niro, 'request_budget_low').length, 0);
+  for (let i = 0; i < 9; i += 1) account.countRequest();
+  const [low] = triggered(niro, 'request_budget_low');
+  assert.deepStrictEqual(low.tokens, { remaining: 20, budget: 100 });
+  account.countRequest();
+  assert.strictEqual(triggered(niro, 'request_budget_low').length, 1);
+});
+
+test('a 5091 server error uses up the budget', async () => {
+  const niro = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const { account } = niro;
+  niro.vehicle.failNext('lock', 5091);
+  niro.lock(true, 'test');
+  await waitForQueue(niro);
+  assert.strictEqual(account.usage().remaining, 0);
+  assert.strictEqual(niro.getCapabilityValue('request_budget'), 0);
+});
+
+test('the request log survives an app restart', async () => {
+  const values = {};
+  const store = {
+    get: (key) => values[key],
+    set: (key, value) => {
+      values[key] = value;
+    },
+  };
+  const homey = createHomey();
+  homey.app.accounts = new AccountManager('simulator', store);
+  const niro = await createDevice({ homey, vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const { used } = niro.account.usage();
+  assert.ok(used > 0);
+  niro.releaseAccount();
+  const restarted = new AccountManager('simulator', store);
+  const account = restarted.register('SIMKNA0000000001', homey.app.credentials.get(niro.getSettings().accountId));
+  assert.strictEqual(account.usage().used, used);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const api = require('../api');
+const { createDevice, waitForQueue } = require('./helpers');
+
+// the homey of an API request, with the app finding the car like MyApp.getDevice()
+const apiHomey = (devices) => ({
+  app: {
+    getDevices: () => devices,
+    getDevice: (id) => {
+      const device = devices.find((car) => car.getData().id === id);
+      if (!device) throw Error(`Car not found: ${id}`);
+      return device;
+    },
+  },
+});
+
+test('lists the cars and returns the status with location and timestamps', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const homey = apiHomey([device]);
+  assert.deepStrictEqual(await api.getCars({ homey }), [{ id: 'SIMKNA0000000001', name: 'Simulated car', engine: 'Full EV' }]);
+  const status = await api.getStatus({ homey, params: { id: 'SIMKNA0000000001' } });
+  assert.strictEqual(status.serverTime, '20250702071500');
+  assert.strictEqual(status.capabilities.measure_battery, 64);
+  assert.deepStrictEqual(status.location, {
+    latitude: 52.3731, longitude: 4.8922, address: 'Simulated street 1, Simcity', zones: ['Home'],
+  });
+  assert.strictEqual(status.status.ev_charging_state, 'plugged_in_charging');
+  await assert.rejects(api.getStatus({ homey, params: { id: 'OTHER' } }), /Car not found/);
+});
+
+test('runs commands through the command queue', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const homey = apiHomey([device]);
+  device.vehicle.calls.length = 0;
+  assert.deepStrictEqual(await api.runCommand({ homey, params: { id: 'SIMKNA0000000001', command: 'unlock' } }), {
+    command: 'unlock', queued: true,
+  });
+  await api.runCommand({ homey, params: { id: 'SIMKNA0000000001', command: 'charge_targets' }, body: { slow: 70, fast: 90 } });
+  await waitForQueue(device);
+  assert.deepStrictEqual(device.vehicle.calls.map((call) => call.command).slice(0, 2), ['unlock', 'setChargeTargets']);
+  assert.strictEqual(device.getCapabilityValue('charge_target_slow'), '70');
+  await assert.rejects(api.runCommand({ homey, params: { id: 'SIMKNA0000000001', command: 'fly' } }), /Unknown command: fly/);
+  await assert.rejects(api.runCommand({
+    homey, params: { id: 'SIMKNA0000000001', command: 'climate_on' }, body: { duration: 99 },
+  }), /Invalid duration/);
+});
+
+test('returns the trip and charging history', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const homey = apiHomey([device]);
+  const trips = await api.getTrips({ homey, params: { id: 'SIMKNA0000000001' } });
+  assert.deepStrictEqual(Object.keys(trips), ['today', 'month', 'trips']);
+  const sessions = await api.getChargeSessions({ homey, params: { id: 'SIMKNA0000000001' }, query: {} });
+  assert.deepStrictEqual([sessions.sessions, sessions.energy], [[], 0]);
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const chargeLimits = require('../lib/charge_limits');
+const { createDevice, waitForQueue, recordings } = require('./helpers');
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+test('reads the charging current and V2L limits of a ccuCCS2 status', () => {
+  const sts = clone(recordings.vehicles[1].recording[0]);
+  assert.deepStrictEqual(chargeLimits.parseChargeLimits(sts), { currentLimit: 100, v2lLimit: 20 });
+  sts.Green.ChargingInformation.ElectricCurrentLevel.State = 3;
+  assert.strictEqual(chargeLimits.parseChargeLimits(sts).currentLimit, 60);
+  const legacy = recordings.vehicles[0].recording[0].vehicleStatus;
+  assert.deepStrictEqual(chargeLimits.parseChargeLimits(legacy), { currentLimit: undefined, v2lLimit: undefined });
+});
+
+test('validates charge targets and limits', () => {
+  assert.strictEqual(chargeLimits.validateTarget('70', 'slow'), 70);
+  assert.throws(() => chargeLimits.validateTarget(75, 'slow'), /Invalid slow target: 75/);
+  assert.throws(() => chargeLimits.validateTarget(40, 'fast'), /Invalid fast target/);
+  assert.strictEqual(chargeLimits.currentLevel('90'), 2);
+  assert.throws(() => chargeLimits.currentLevel(80), /Invalid charging current limit/);
+  assert.strictEqual(chargeLimits.validateV2lLimit(35), 35);
+  assert.throws(() => chargeLimits.validateV2lLimit(10), /Use 20-80%/);
+  assert.throws(() => chargeLimits.validateV2lLimit(30.5), /Invalid V2L discharge limit/);
+});
+
+test('sets the charging current and V2L limits on the car', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  assert.strictEqual(device.getCapabilityValue('charge_current_limit'), '100');
+  assert.strictEqual(device.getCapabilityValue('v2l_limit'), 20);
+  assert.strictEqual(device.setChargingCurrentLimit('60', 'flow'), true);
+  assert.strictEqual(device.setV2lLimit(40, 'flow'), true);
+  await waitForQueue(device);
+  const calls = device.vehicle.calls.filter((call) => ['setChargingCurrent', 'setDischargeLimit'].includes(call.command));
+  assert.deepStrictEqual(calls, [
+    { command: 'setChargingCurrent', args: { chargingCurrent: 3 } },
+    { command: 'setDischargeLimit', args: { dischargingLimit: 40 } },
+  ]);
+  assert.strictEqual(device.getCapabilityValue('charge_current_limit'), '60');
+  assert.strictEqual(device.getCapabilityValue('v2l_limit'), 40);
+  // the car keeps the limits in its next status
+  device.vehicle.advance();
+  const info = await device.mapStatus(await device.vehicle.status());
+  assert.strictEqual(info.charge_current_limit, '60');
+  assert.strictEqual(info.v2l_limit, 40);
+});
+
+test('refuses limits that would drain the battery', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  assert.match(device.setV2lLimit(5, 'flow').message, /Invalid V2L discharge limit: 5/);
+  assert.match(device.setChargingCurrentLimit(50, 'flow').message, /Invalid charging current limit/);
+  const legacy = await createDevice();
+  assert.match(legacy.setV2lLimit(30, 'flow').message, /no V2L discharge limit/);
+});
+
+test('charge targets accept any valid value per port', async () => {
+  const device = await createDevice();
+  assert.strictEqual(device.getCapabilityValue('charge_target_slow'), '80');
+  assert.strictEqual(device.setChargeTargets({ slow: 60 }, 'flow'), true); // fast keeps its current value
+  await waitForQueue(device);
+  const call = device.vehicle.calls.find((item) => item.command === 'setChargeTargets');
+  assert.deepStrictEqual(call.args, { slow: 60, fast: Number(device.getCapabilityValue('charge_target_fast')) });
+  assert.match(device.setChargeTargets({ slow: 65, fast: 100 }, 'flow').message, /Invalid slow target: 65/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const planner = require('../lib/charge_planner');
+const { createDevice, waitForQueue } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2025-07-01T22:00:00Z');
+
+const prices = (list, now = START) => planner.parsePrices(list, now);
+
+test('reads hourly prices as numbers or objects', () => {
+  assert.deepStrictEqual(prices('[0.3,0.2]', START + 10 * MINUTE), [
+    { start: START, price: 0.3 },
+    { start: START + HOUR, price: 0.2 },
+  ]);
+  assert.deepStrictEqual(prices([{ startsAt: '2025-07-02T01:00:00+02:00', total: 0.22 }]), [
+    { start: Date.parse('2025-07-01T23:00:00Z'), price: 0.22 },
+  ]);
+  assert.throws(() => prices('0.3,0.2'), /not valid JSON/);
+  assert.throws(() => prices([]), /JSON array/);
+  assert.throws(() => prices([0.3, 'cheap']), /position 1/);
+});
+
+test('computes the minutes of charging needed', () => {
+  assert.strictEqual(planner.minutesNeeded({
+    soc: 75, target: 80, capacity: 64, power: 11,
+  }), 18);
+  assert.strictEqual(planner.minutesNeeded({
+    soc: 55, target: 80, capacity: 60, power: 10,
+  }), 90);
+  assert.strictEqual(planner.minutesNeeded({
+    soc: 90, target: 80, capacity: 60, power: 10,
+  }), 0);
+  assert.throws(() => planner.minutesNeeded({ soc: 50, target: 80, capacity: 0 }), /must be set/);
+});
+
+test('plans a short top-up in part of the cheapest hour', () => {
+  const plan = planner.planCharging({
+    prices: prices([0.3, 0.1, 0.2]), minutes: 20, now: START, readyBy: START + 3 * HOUR,
+  });
+  assert.deepStrictEqual(plan.windows, [{ start: START + HOUR, end: START + HOUR + 20 * MINUTE }]);
+  assert.strictEqual(plan.minutes, 20);
+  assert.strictEqual(plan.complete, true);
+  assert.strictEqual(plan.priceAvg, 0.1);
+});
+
+test('plans an hour and a half in two hours', () => {
+  const plan = planner.planCharging({
+    prices: prices([0.3, 0.1, 0.2, 0.15]), minutes: 90, now: START, readyBy: START + 4 * HOUR,
+  });
+  assert.deepStrictEqual(plan.windows, [
+    { start: START + HOUR, end: START + 2 * HOUR },
+    { start: START + 3 * HOUR, end: START + 3 * HOUR + 30 * MINUTE },
+  ]);
+  assert.strictEqual(plan.minutes, 90);
+  assert.strictEqual(plan.priceAvg, 0.125);
+});
+
+test('merges adjacent hours and counts the current hour from now', () => {
+  const now = START + 30 * MINUTE;
+  const plan = planner.planCharging({
+    prices: prices([0.1, 0.2, 0.3], now), minutes: 60, now, readyBy: START + 3 * HOUR,
+  });
+  assert.deepStrictEqual(plan.windows, [{ start: now, end: START + HOUR + 30 * MINUTE }]);
+  assert.strictEqual(plan.minutes, 60);
+  assert.strictEqual(plan.complete, true);
+});
+
+test('plans what fits before the ready-by time', () => {
+  const plan = planner.planCharging({
+    prices: prices([0.3, 0.1, 0.2, 0.05]), minutes: 180, now: START, readyBy: START + 2 * HOUR,
+  });
+  assert.deepStrictEqual(plan.windows, [{ start: START, end: START + 2 * HOUR }]);
+  assert.strictEqual(plan.minutes, 120);
+  assert.strictEqual(plan.complete, false);
+});
+
+test('plans charging on the car and reports the charge hours', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV', settings: { batteryCapacity: 60, chargePower: 10 } });
+  await waitForQueue(device);
+  await device.setCapabilityValue('measure_battery', 55);
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => timers.push(ms);
+  const readyBy = device.formatTime(Date.now() + 12 * HOUR);
+  const result = await device.planCharging({ target: 80, readyBy, prices: JSON.stringify(Array(13).fill(0.2)) }, 'test');
+  assert.strictEqual(result.hours, 1.5);
+  assert.strictEqual(result.price_avg, 0.2);
+  const [window] = device.getStoreValue('chargePlan').windows;
+  assert.strictEqual(window.end - window.start, 90 * MINUTE);
+  assert.strictEqual(timers.length, 2); // start and stop
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const chargeSessions = require('../lib/charge_sessions');
+const {
+  createDevice, waitForQueue, triggered, recordings,
+} = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2025-07-01T18:00:00Z');
+
+test('meters energy from the reported charge power', () => {
+  const session = chargeSessions.startSession({ time: START, soc: 30, zone: 'Home' });
+  chargeSessions.addSample(session, {
+    time: START, soc: 30, power: 11, charging: true,
+  });
+  chargeSessions.addSample(session, {
+    time: START + HOUR, soc: 45, power: 7, charging: true,
+  });
+  chargeSessions.addSample(session, {
+    time: START + 2 * HOUR, soc: 55, power: 0, charging: false,
+  });
+  const finished = chargeSessions.finishSession(session, {
+    time: START + 3 * HOUR, soc: 55, capacity: 64, tariff: 0.25,
+  });
+  assert.strictEqual(finished.energy, 18);
+  assert.strictEqual(finished.metered, true);
+  assert.strictEqual(finished.powerPeak, 11);
+  assert.strictEqual(finished.powerAvg, 9);
+  assert.strictEqual(finished.duration, 180);
+  assert.strictEqual(finished.chargingTime, 120);
+  assert.strictEqual(finished.cost, 4.5);
+  assert.deepStrictEqual(finished.curve.map((point) => point.soc), [30, 45, 55]);
+});
+
+test('estimates energy from the SoC gain without charge power', () => {
+  const session = chargeSessions.startSession({ time: START, soc: 20 });
+  chargeSessions.addSample(session, { time: START, soc: 20, charging: true });
+  chargeSessions.addSample(session, { time: START + 4 * HOUR, soc: 70, charging: false });
+  const finished = chargeSessions.finishSession(session, {
+    time: START + 4 * HOUR, soc: 70, capacity: 64, tariff: 0.3,
+  });
+  assert.strictEqual(finished.metered, false);
+  assert.strictEqual(finished.energy, 32);
+  assert.strictEqual(finished.powerAvg, 8);
+  assert.strictEqual(finished.cost, 9.6);
+});
+
+test('keeps the SoC curve of long sessions short', () => {
+  const session = chargeSessions.startSession({ time: START, soc: 0 });
+  for (let i = 0; i < 500; i += 1) {
+    chargeSessions.addSample(session, { time: START + i * 60000, soc: i / 5, charging: true });
+  }
+  assert.ok(session.samples.length <= 200);
+  assert.strictEqual(session.samples[0].soc, 0);
+  assert.strictEqual(session.samples[session.samples.length - 1].soc, 99.8);
+});
+
+test('exports sessions as CSV per month', () => {
+  const sessions = [
+    {
+      start: '2025-06-30T23:30:00.000Z', energy: 10, cost: 3, location: 'Home',
+    },
+    {
+      start: '2025-07-02T08:00:00.000Z', energy: 20.5, cost: 6.15, location: 'Main street 1, "Office"',
+    },
+  ];
+  // 01:30 on July 1st in Amsterdam
+  const july = chargeSessions.filterSessions(sessions, '202507', 'Europe/Amsterdam');
+  assert.strictEqual(july.length, 2);
+  assert.deepStrictEqual(chargeSessions.sumSessions(july), { sessions: 2, energy: 30.5, cost: 9.15 });
+  const lines = chargeSessions.toCsv(july).split('\n');
+  assert.strictEqual(lines[0], 'start,end,duration,socStart,socEnd,energy,metered,powerPeak,powerAvg,tariff,cost,zone,location');
+  assert.ok(lines[2].endsWith(',"Main street 1, ""Office"""'));
+  assert.strictEqual(chargeSessions.filterSessions(sessions, '202506', 'UTC').length, 1);
+});
+
+test('records a charging session from plug-in to unplug', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2', settings: { chargeTariff: 0.4 } });
+  const session = device.getStoreValue('chargeSession');
+  assert.strictEqual(session.socStart, 55);
+  assert.strictEqual(session.zone, 'Home');
+  // the car has been charging at 7.2 kW for two hours
+  session.start -= 2 * HOUR;
+  session.samples.forEach((sample) => {
+    const s = sample;
+    s.time -= 2 * HOUR;
+  });
+  await device.setStoreValue('chargeSession', session);
+  device.vehicle.advance(); // unplugged and driving away
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  assert.ok(!device.getStoreValue('chargeSession'));
+  const [finished] = triggered(device, 'charge_session_finished');
+  assert.strictEqual(finished.tokens.energy, 14.4);
+  assert.strictEqual(finished.tokens.cost, 5.76);
+  assert.strictEqual(finished.tokens.power_peak, 7.2);
+  assert.strictEqual(finished.tokens.zone, 'Home');
+  const exported = device.exportChargeSessions('all');
+  assert.strictEqual(exported.sessions, 1);
+  assert.strictEqual(exported.csv.split('\n').length, 2);
+});
+
+test('a session with an estimated charge power is not metered', async () => {
+  const device = await createDevice({ settings: { nameOrg: 'Niro EV' } });
+  const sts = JSON.parse(JSON.stringify(recordings.vehicles[0].recording[0]));
+  await device.handleInfo(await device.mapStatus(sts));
+  const state = device.getStoreValue('energy');
+  state.time -= HOUR;
+  state.since.time -= HOUR;
+  await device.setStoreValue('energy', state);
+  sts.vehicleStatus.evStatus.batteryStatus = state.soc + 11;
+  await device.handleInfo(await device.mapStatus(sts));
+  assert.strictEqual(device.getCapabilityValue('measure_power.charge'), 7040); // estimated
+  const session = device.getStoreValue('chargeSession');
+  assert.ok(session.samples.every((sample) => sample.power === null));
+  const finished = chargeSessions.finishSession(session, { soc: state.soc + 11, capacity: 64 });
+  assert.strictEqual(finished.metered, false);
+  assert.strictEqual(finished.energy, 7.04);
+  assert.strictEqual(finished.powerPeak, 0);
+});
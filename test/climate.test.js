@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const climate = require('../lib/climate');
+const {
+  createDevice, waitForQueue, triggered, LOGIN,
+} = require('./helpers');
+
+test('climate options get defaults', () => {
+  const opts = climate.parseOptions({ temperature: '20.5', duration: '' });
+  assert.strictEqual(opts.temperature, 20.5);
+  assert.strictEqual(opts.duration, 10);
+  assert.strictEqual(opts.driverSeat, 'off');
+  assert.strictEqual(opts.defrost, false);
+});
+
+test('invalid climate options are rejected', () => {
+  assert.throws(() => climate.parseOptions({ duration: 45 }), /Invalid duration/);
+  assert.throws(() => climate.parseOptions({ duration: 2.5 }), /Invalid duration/);
+  assert.throws(() => climate.parseOptions({ driverSeat: 'hot' }), /Invalid seat level/);
+  assert.throws(() => climate.parseOptions({ temperature: 'warm' }), /Invalid temperature/);
+});
+
+test('maps climate options to a legacy start body', () => {
+  const body = climate.startArgs({
+    temperature: 23, duration: 15, driverSeat: 'heat_high', steeringWheel: true,
+  }, false);
+  assert.deepStrictEqual(body, {
+    action: 'start', hvacType: 0, options: { defrost: false, heating1: 3 }, tempCode: '12H', unit: 'C',
+  });
+  assert.strictEqual(climate.startArgs({ steeringWheel: true, rearWindow: true }, false).options.heating1, 1);
+  assert.strictEqual(climate.startArgs({ rearWindow: true, defrost: true }, false).options.heating1, 2);
+});
+
+test('maps climate options to a ccuCCS2 start body', () => {
+  const body = climate.startArgs({
+    temperature: 19, duration: 20, defrost: true, rearWindow: true, passengerSeat: 'heat_medium',
+  }, true);
+  assert.deepStrictEqual(body, {
+    command: 'start',
+    ignitionDuration: 20,
+    hvacTempType: 1,
+    hvacTemp: 19,
+    tempUnit: 'C',
+    windshieldFrontDefogState: true,
+    strgWhlHeating: 0,
+    sideRearMirrorHeating: 1,
+    drvSeatLoc: 'L',
+    seatClimateInfo: {
+      drvSeatClimateState: 0, psgSeatClimateState: 7, rlSeatClimateState: 0, rrSeatClimateState: 0,
+    },
+  });
+});
+
+// the request that goes to the server, as BlueLinky's http service gets it
+const recordPosts = (device) => {
+  const posts = [];
+  const { controller } = device.vehicle;
+  const getService = controller.getVehicleHttpService;
+  controller.getVehicleHttpService = async () => {
+    const http = await getService();
+    return {
+      post: (url, options) => {
+        posts.push({ url, body: options.body });
+        return http.post(url, options);
+      },
+    };
+  };
+  return posts;
+};
+
+test('sends the seat levels, run time and heating choice to the car', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  const posts = recordPosts(device);
+  device.startClimate({
+    temperature: 21, duration: 25, driverSeat: 'vent_high', passengerSeat: 'heat_low', steeringWheel: true,
+  }, 'test');
+  await waitForQueue(device);
+  const [start] = posts;
+  assert.strictEqual(start.url, `/api/v2/spa/vehicles/${device.vehicle.vehicleConfig.id}/ccs2/control/temperature`);
+  assert.strictEqual(start.body.ignitionDuration, 25);
+  assert.strictEqual(start.body.strgWhlHeating, 1);
+  assert.strictEqual(start.body.sideRearMirrorHeating, 0);
+  assert.deepStrictEqual(start.body.seatClimateInfo, {
+    drvSeatClimateState: 5, psgSeatClimateState: 6, rlSeatClimateState: 0, rrSeatClimateState: 0,
+  });
+  assert.strictEqual(device.getCapabilityValue('climate_control'), true);
+
+  const legacy = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const legacyPosts = recordPosts(legacy);
+  legacy.startClimate({ temperature: 22, rearWindow: true }, 'test');
+  await waitForQueue(legacy);
+  assert.strictEqual(legacyPosts[0].url, `/api/v2/spa/vehicles/${legacy.vehicle.vehicleConfig.id}/control/temperature`);
+  assert.deepStrictEqual(legacyPosts[0].body.options, { defrost: false, heating1: 2 });
+});
+
+test('starts climate through BlueLinky on servers without an HTTP service', async () => {
+  const device = await createDevice({ login: { ...LOGIN, region: 'CA' }, settings: { region: 'CA', temperatureUnit: 'C' } });
+  assert.strictEqual(device.vehicle.controller.getVehicleHttpService, undefined);
+  device.startClimate({
+    temperature: 21, duration: 15, rearWindow: true, driverSeat: 'heat_high',
+  }, 'test');
+  await waitForQueue(device);
+  const start = device.vehicle.calls.find((call) => call.command === 'start');
+  assert.deepStrictEqual(start.args, {
+    hvac: true, duration: 15, temperature: 21, defrost: false, heatedFeatures: true, unit: 'C',
+  });
+  assert.strictEqual(device.getCapabilityValue('climate_control'), true);
+  assert.strictEqual(device.acOnOff(true, 'test'), true);
+  assert.strictEqual(device.defrostOnOff(true, 'test'), true);
+  await waitForQueue(device);
+  const starts = device.vehicle.calls.filter((call) => call.command === 'start');
+  assert.strictEqual(starts.length, 3);
+  assert.strictEqual(starts[2].args.defrost, true);
+  assert.strictEqual(device.getCapabilityValue('defrost'), true);
+  assert.strictEqual(triggered(device, 'command_failed').length, 0);
+});
+
+test('saves and starts a climate preset', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  await device.saveClimatePreset(' winter ', { temperature: 24, driverSeat: 'heat_high', defrost: true }, 'test');
+  assert.deepStrictEqual(device.getClimatePresetAutocomplete('WIN'), [{ name: 'winter' }]);
+  await assert.rejects(device.saveClimatePreset('summer', { duration: 0 }, 'test'), /Invalid duration/);
+  assert.throws(() => device.startClimatePreset('summer', 'test'), /Unknown climate preset/);
+  device.vehicle.calls.length = 0;
+  assert.strictEqual(device.startClimatePreset('winter', 'test'), true);
+  await waitForQueue(device);
+  const start = device.vehicle.calls.find((call) => call.command === 'start');
+  assert.strictEqual(start.args.hvacTemp, 24);
+  assert.strictEqual(start.args.seatClimateInfo.drvSeatClimateState, 8);
+});
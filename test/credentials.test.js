@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const CredentialStore = require('../lib/credentials');
+const {
+  createDevice, createHomey, CarDriver, LOGIN,
+} = require('./helpers');
+
+const createStore = () => {
+  const values = {};
+  return {
+    values,
+    get: (key) => values[key],
+    set: (key, value) => {
+      values[key] = JSON.parse(JSON.stringify(value));
+    },
+  };
+};
+
+test('keeps the login encrypted, by account id', () => {
+  const settings = createStore();
+  const store = new CredentialStore(settings, 'homey-1');
+  const id = store.save(LOGIN);
+  assert.strictEqual(id, CredentialStore.id({ ...LOGIN, username: ' SIM@example.com ' }));
+  assert.ok(!JSON.stringify(settings.values).includes('secret'));
+  assert.ok(!JSON.stringify(settings.values).includes('sim@example.com'));
+  // another app start reads it back
+  assert.deepStrictEqual(new CredentialStore(settings, 'homey-1').get(id), LOGIN);
+  // but not on another Homey
+  assert.throws(() => new CredentialStore(settings, 'homey-2').get(id));
+  store.save({ ...LOGIN, password: 'rotated' });
+  assert.strictEqual(Object.keys(settings.values.credentials).length, 1);
+  assert.strictEqual(store.get(id).password, 'rotated');
+  store.remove(id);
+  assert.strictEqual(store.get(id), null);
+});
+
+test('scrubs logins from log lines', () => {
+  const store = new CredentialStore(createStore(), 'homey-1');
+  store.save(LOGIN);
+  const [text, error, object] = store.scrub([
+    'login of sim@example.com with secret failed',
+    Error('401 for sim@example.com'),
+    { username: 'x', nested: { note: 'pw secret', pin: '1234' }, odometer: 1234 },
+  ]);
+  assert.strictEqual(text, 'login of *** with *** failed');
+  assert.match(error, /^Error: 401 for \*\*\*/);
+  assert.deepStrictEqual(object, { username: '***', nested: { note: 'pw ***', pin: '***' }, odometer: 1234 });
+  assert.strictEqual(CredentialStore.maskUsername('sim@example.com'), 's***@example.com');
+  assert.strictEqual(CredentialStore.maskUsername('driver'), 'd***');
+});
+
+test('moves the login of a car paired before the store', async () => {
+  const homey = createHomey();
+  const device = await createDevice({
+    homey,
+    settings: {
+      accountId: '', username: 'sim@example.com', password: 'secret', pin: '1234',
+    },
+  });
+  const settings = device.getSettings();
+  assert.strictEqual(settings.password, '');
+  assert.strictEqual(settings.pin, '');
+  assert.strictEqual(settings.username, 's***@example.com');
+  assert.deepStrictEqual(homey.app.credentials.get(settings.accountId), LOGIN);
+  assert.ok(device.vehicle, 'logged in with the stored login');
+  const logs = JSON.stringify(device.logs);
+  assert.ok(!logs.includes('secret') && !logs.includes('sim@example.com'));
+});
+
+test('a new password in the settings is stored for the account', async () => {
+  const device = await createDevice();
+  const newSettings = { ...device.getSettings(), password: 'rotated' };
+  await device.onSettings({ oldSettings: device.getSettings(), newSettings, changedKeys: ['password'] });
+  assert.ok(!JSON.stringify(device.logs).includes('rotated'));
+  await device.setSettings(newSettings); // Homey saves the settings after onSettings
+  device.settings = device.getSettings(); // as after the restart
+  await device.getCredentials();
+  assert.strictEqual(device.getSettings().password, '');
+  assert.strictEqual(device.homey.app.credentials.get(device.getSettings().accountId).password, 'rotated');
+});
+
+test('the login goes with the last car of the account', async () => {
+  const homey = createHomey();
+  const driver = new CarDriver();
+  const niro = await createDevice({ homey, driver });
+  const ev9 = await createDevice({
+    homey, driver, vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2',
+  });
+  const { accountId } = niro.getSettings();
+  niro.onDeleted();
+  driver.devices = [ev9];
+  assert.ok(homey.app.credentials.get(accountId));
+  ev9.onDeleted();
+  assert.strictEqual(homey.app.credentials.get(accountId), null);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const departure = require('../lib/departure');
+const { createDevice, waitForQueue, recordings } = require('./helpers');
+
+test('parses departure days', () => {
+  assert.deepStrictEqual(departure.parseDays('mon-fri'), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(departure.parseDays('sat, sun'), [0, 6]);
+  assert.deepStrictEqual(departure.parseDays('fri-mon'), [0, 1, 5, 6]);
+  assert.deepStrictEqual(departure.parseDays('weekdays'), [1, 2, 3, 4, 5]);
+  assert.throws(() => departure.parseDays('someday'), /Invalid day/);
+  assert.throws(() => departure.parseDays(''), /At least one day/);
+});
+
+test('converts times to and from the 12 hour server format', () => {
+  assert.deepStrictEqual(departure.toServerTime('07:30'), { time: '0730', timeSection: 0 });
+  assert.deepStrictEqual(departure.toServerTime('23:05'), { time: '1105', timeSection: 1 });
+  assert.deepStrictEqual(departure.toServerTime('00:15'), { time: '1215', timeSection: 0 });
+  assert.deepStrictEqual(departure.toServerTime('12:00'), { time: '1200', timeSection: 1 });
+  ['00:15', '07:30', '12:00', '23:05'].forEach((time) => {
+    assert.strictEqual(departure.fromServerTime(departure.toServerTime(time)), time);
+  });
+  assert.throws(() => departure.toServerTime('25:00'), /Invalid time/);
+});
+
+test('reads a legacy schedule', () => {
+  const schedule = departure.parseSchedule(recordings.vehicles[0].recording[0]);
+  assert.deepStrictEqual(schedule.departures[0], {
+    enabled: true, time: '07:30', days: [1, 2, 3, 4, 5], climate: true, temperature: 21, defrost: false,
+  });
+  assert.strictEqual(schedule.departures[1].enabled, false);
+  assert.deepStrictEqual(schedule.offPeak, { mode: 'preferred', start: '23:00', end: '07:00' });
+  assert.strictEqual(departure.formatDeparture(schedule.departures[0]), '07:30 weekdays 21°C');
+  assert.strictEqual(departure.formatOffPeak(schedule.offPeak), '23:00-07:00 preferred');
+});
+
+test('reads a ccuCCS2 schedule', () => {
+  const schedule = departure.parseSchedule(recordings.vehicles[1].recording[0]);
+  assert.deepStrictEqual(schedule.departures[0], {
+    enabled: true, time: '06:45', days: [1, 2, 3, 4], climate: true, temperature: 20.5, defrost: false,
+  });
+  assert.deepStrictEqual(schedule.offPeak, { mode: 'only', start: '22:00', end: '06:00' });
+});
+
+test('a written schedule reads back the same', () => {
+  const schedule = {
+    departures: [
+      departure.parseDeparture({
+        time: '18:15', days: 'sat,sun', climate: true, temperature: 23.5, defrost: true,
+      }),
+      departure.parseDeparture({ time: '06:00', days: 'daily' }),
+    ],
+    offPeak: departure.parseOffPeak({ mode: 'only', start: '01:00', end: '05:30' }),
+  };
+  const body = departure.scheduleBody(schedule);
+  assert.strictEqual(body.reservFlag, 1);
+  assert.deepStrictEqual(departure.parseSchedule({ evStatus: { reservChargeInfos: body } }), schedule);
+});
+
+test('a Fahrenheit car gets the code of its unit in the schedule', () => {
+  const schedule = {
+    departures: [departure.parseDeparture({
+      time: '07:00', days: 'weekdays', climate: true, temperature: 22,
+    })],
+  };
+  const { airTemp } = departure.scheduleBody(schedule, 'F').reservChargeInfo.reservChargeInfoDetail.reservFatcSet;
+  assert.deepStrictEqual(airTemp, { value: '72', unit: 1, hvacTempType: 1 });
+  const body = departure.scheduleBody(schedule, 'F');
+  assert.strictEqual(departure.parseSchedule({ evStatus: { reservChargeInfos: body } }).departures[0].temperature, 22);
+  assert.deepStrictEqual(departure.scheduleBody(schedule).reservChargeInfo.reservChargeInfoDetail.reservFatcSet.airTemp, {
+    value: '10H', unit: 0, hvacTempType: 1,
+  });
+});
+
+test('programs a departure timer and off-peak window on the car', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  assert.strictEqual(device.getCapabilityValue('departure_timer'), '07:30 weekdays 21°C');
+  assert.strictEqual(device.getCapabilityValue('offpeak_charging'), '23:00-07:00 preferred');
+  assert.strictEqual(device.setDepartureTimer(2, { time: '08:00', days: 'weekend' }, 'test'), true);
+  await waitForQueue(device);
+  assert.strictEqual(device.setOffPeakCharging({ mode: 'off', start: '00:00', end: '00:00' }, 'test'), true);
+  await waitForQueue(device);
+  assert.strictEqual(device.setDepartureTimer(1, null, 'test'), true);
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls.filter((call) => call.command === 'setReservation').length, 3);
+  assert.strictEqual(device.getCapabilityValue('departure_timer'), '08:00 weekend');
+  assert.strictEqual(device.getCapabilityValue('offpeak_charging'), 'off');
+  assert.ok(device.setDepartureTimer(1, { time: '8am', days: 'daily' }, 'test') instanceof Error);
+});
+
+test('programs a departure timer in Fahrenheit on a car in the US', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV', settings: { region: 'US' } });
+  device.setDepartureTimer(1, {
+    time: '07:00', days: 'weekdays', climate: true, temperature: 21,
+  }, 'test');
+  await waitForQueue(device);
+  const write = device.vehicle.calls.find((call) => call.command === 'setReservation');
+  assert.deepStrictEqual(write.args.reservChargeInfo.reservChargeInfoDetail.reservFatcSet.airTemp, {
+    value: '70', unit: 1, hvacTempType: 1,
+  });
+  assert.strictEqual(device.getCapabilityValue('departure_timer'), '07:00 weekdays 21°C');
+});
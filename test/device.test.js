@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+  createDevice, waitForQueue, triggered, recordings,
+} = require('./helpers');
+
+const LEGACY_VIN = 'SIMKNA0000000001';
+const CCS2_VIN = 'SIMKNA0000000002';
+
+test('maps a legacy status', async () => {
+  const device = await createDevice({ vin: LEGACY_VIN, engine: 'Full EV' });
+  const map = await device.mapStatus(recordings.vehicles[0].recording[0]);
+  assert.strictEqual(map.Date, '20250702071500');
+  assert.strictEqual(map.measure_odo, 23450);
+  assert.strictEqual(map.latitude, 52.3731);
+  assert.strictEqual(map.meter_distance, 0);
+  assert.strictEqual(map.location, 'Simcity');
+  assert.strictEqual(map.measure_battery, 64);
+  assert.strictEqual(map['measure_battery.12V'], 82);
+  assert.strictEqual(map.measure_range, 320);
+  assert.strictEqual(map.ev_charging_state, 'plugged_in_charging');
+  assert.strictEqual(map.charge, true);
+  assert.strictEqual(map.charge_target_slow, '80');
+  assert.strictEqual(map.charge_target_fast, '100');
+  assert.strictEqual(map.locked, true);
+  assert.strictEqual(map.engine, false);
+  assert.strictEqual(map.climate_control, false);
+  assert.strictEqual(map.alarm_bat, false);
+});
+
+test('maps a ccuCCS2 status', async () => {
+  const device = await createDevice({ vin: CCS2_VIN, engine: 'Full EV ccuCCS2' });
+  const parked = await device.mapStatus(recordings.vehicles[1].recording[0]);
+  assert.strictEqual(parked.Date, '20250702071500.120');
+  assert.strictEqual(parked.measure_odo, 8120.4);
+  assert.strictEqual(parked.measure_battery, 55);
+  assert.strictEqual(parked['measure_power.charge'], 7200);
+  assert.strictEqual(parked['meter_power.fuel_economy'], 6.2);
+  assert.strictEqual(parked.ev_charging_state, 'plugged_in_charging');
+  assert.strictEqual(parked.charge_target_slow, '80');
+  assert.strictEqual(parked.closed_locked, true);
+  assert.strictEqual(parked.climate_control, false);
+  assert.strictEqual(parked.engine, false);
+  const driving = await device.mapStatus(recordings.vehicles[1].recording[1]);
+  assert.strictEqual(driving.engine, true);
+  assert.strictEqual(driving.measure_speed, 60);
+  assert.strictEqual(driving.climate_control, true);
+  assert.strictEqual(driving.target_temperature, 21.5);
+  assert.strictEqual(driving.ev_charging_state, 'plugged_out');
+});
+
+test('polling sets the capabilities', async () => {
+  const device = await createDevice({ vin: CCS2_VIN, engine: 'Full EV ccuCCS2' });
+  assert.strictEqual(device.getCapabilityValue('measure_battery'), 55);
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+  assert.strictEqual(device.getCapabilityValue('refresh_status'), false);
+  assert.strictEqual(device.getStoreValue('lastStatus').Date, '20250702071500.120');
+});
+
+test('detects moving and parking', async () => {
+  const device = await createDevice({
+    vin: LEGACY_VIN,
+    engine: 'Full EV',
+    settings: { zones: 'Office, 52.30000, 4.94000, 200' },
+  });
+  device.homey.triggers.length = 0;
+
+  device.vehicle.advance(); // car drives away
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.getCapabilityValue('engine'), true);
+  assert.ok(triggered(device, 'has_moved').length > 0);
+  assert.strictEqual(triggered(device, 'has_parked').length, 0);
+  assert.strictEqual(triggered(device, 'zone_left')[0].tokens.zone, 'Home');
+
+  device.vehicle.advance(); // car parks at the office
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.getCapabilityValue('engine'), false);
+  const [parked] = triggered(device, 'has_parked');
+  assert.strictEqual(parked.tokens.zone, 'Office');
+  assert.strictEqual(triggered(device, 'zone_entered')[0].tokens.zone, 'Office');
+  assert.strictEqual(triggered(device, 'trip_finished')[0].tokens.distance, 16);
+  assert.strictEqual(device.getStoreValue('tripTotals').days['20250702'].trips, 1);
+});
+
+test('retries a command once after a duplicate request error', async () => {
+  const device = await createDevice({ vin: LEGACY_VIN, engine: 'Full EV' });
+  device.vehicle.failNext('unlock', 4004);
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  assert.deepStrictEqual(device.vehicle.calls.filter((call) => call.command === 'unlock').length, 2);
+  assert.strictEqual(triggered(device, 'command_succeeded')[0].tokens.command, 'unlock');
+  assert.strictEqual(triggered(device, 'command_failed').length, 0);
+  assert.strictEqual(device.getCapabilityValue('locked'), false);
+});
+
+test('reports a command as failed when the retry fails too', async () => {
+  const device = await createDevice({ vin: LEGACY_VIN, engine: 'Full EV' });
+  device.vehicle.failNext('unlock', 4004, 2);
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  const [failed] = triggered(device, 'command_failed');
+  assert.strictEqual(failed.tokens.command, 'unlock');
+  assert.match(failed.tokens.error, /4004/);
+  assert.ok(device.logs.some((log) => log[0] === 'error' && log[1] === 'unlock failed'));
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+});
+
+test('runs user commands before background polls', async () => {
+  const device = await createDevice({ vin: LEGACY_VIN, engine: 'Full EV' });
+  device.vehicle.calls.length = 0;
+  device.queueRunning = true; // hold the queue
+  device.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: false } });
+  device.enQueue({ command: 'doPoll', args: { forceOnce: true, logPoll: false } });
+  device.enQueue({ command: 'lock' });
+  assert.strictEqual(device.queue.length, 2);
+  assert.strictEqual(device.queue[0].args.forceOnce, true);
+  assert.deepStrictEqual(device.getStoreValue('queue').map((item) => item.command), ['lock']);
+  device.queueRunning = false;
+  await device.runQueue();
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls[0].command, 'lock');
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const energy = require('../lib/energy');
+const { createDevice, recordings } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2025, 6, 1, 22);
+
+const sample = (hours, soc, power, charging) => ({
+  time: START + hours * HOUR, soc, power, charging,
+});
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+test('knows the battery capacity of the car models', () => {
+  assert.strictEqual(energy.modelCapacity('EV9'), 99.8);
+  assert.strictEqual(energy.modelCapacity('IONIQ 5'), 77.4);
+  assert.strictEqual(energy.modelCapacity('Niro EV'), 64);
+  assert.strictEqual(energy.modelCapacity('Niro PHEV'), 11.1);
+  assert.strictEqual(energy.modelCapacity('Picanto'), undefined);
+  assert.strictEqual(energy.batteryCapacity(0, 'EV6'), 77.4);
+  assert.strictEqual(energy.batteryCapacity(58, 'EV6'), 58); // the setting wins
+  assert.strictEqual(energy.batteryCapacity(0, ''), energy.DEFAULT_CAPACITY);
+});
+
+test('estimates the charge power from the SoC gain', () => {
+  let state = energy.trackEnergy(undefined, { time: START, soc: 50, charging: true }, 64);
+  assert.strictEqual(state.power, null); // no gain seen yet
+  state = energy.trackEnergy(state, { time: START + HOUR, soc: 60, charging: true }, 64);
+  assert.strictEqual(state.power, 6.4);
+  assert.strictEqual(state.meterEstimated, 6.4);
+  assert.strictEqual(state.meter, 0); // estimates are not metered
+  state = energy.trackEnergy(state, { time: START + 1.5 * HOUR, soc: 60, charging: true }, 64);
+  assert.strictEqual(state.power, 6.4); // kept until the SoC changes
+  state = energy.trackEnergy(state, { time: START + 2 * HOUR, soc: 70, charging: true }, 64);
+  assert.strictEqual(state.power, 6.4);
+  state = energy.trackEnergy(state, { time: START + 3 * HOUR, soc: 75, charging: false }, 64);
+  assert.strictEqual(state.power, 0);
+  assert.strictEqual(state.meterEstimated, 16); // the gain up to the stop is counted
+  state = energy.trackEnergy(state, { time: START + 4 * HOUR, soc: 70, charging: false }, 64);
+  assert.strictEqual(state.meterEstimated, 16); // driving doesn't count
+  assert.strictEqual(state.meter, 0);
+  assert.strictEqual(state.powerReported, false);
+  assert.strictEqual(energy.meterTotal(state), 16); // the estimate, without a power reading
+});
+
+test('meters the reported charge power', () => {
+  let state = energy.trackEnergy({ meter: 100 }, sample(0, 50, 7.2, true), 64);
+  assert.strictEqual(state.estimated, false);
+  state = energy.trackEnergy(state, sample(2, 72, 7, true), 64);
+  assert.strictEqual(state.meter, 114.4);
+  state = energy.trackEnergy(state, sample(3, 83, 0, false), 64);
+  assert.strictEqual(state.meter, 121.4);
+  assert.strictEqual(state.meterEstimated, 0);
+  assert.strictEqual(state.power, 0);
+  state = energy.trackEnergy(state, sample(4, 83, null, true), 64); // a status without charge power
+  state = energy.trackEnergy(state, sample(5, 90, null, false), 64);
+  assert.strictEqual(state.meterEstimated, 4.48);
+  assert.strictEqual(energy.meterTotal(state), 121.4); // the car keeps its metered total
+});
+
+test('legacy cars get an estimated charge power and energy meter from the SoC gain', async () => {
+  const device = await createDevice({ settings: { nameOrg: 'Niro EV' } });
+  assert.strictEqual(device.getBatteryCapacity(), 64);
+  assert.ok(device.hasCapability('meter_power'));
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  const info = await device.mapStatus(sts);
+  await device.handleInfo(info);
+  const state = device.getStoreValue('energy');
+  state.time -= HOUR; // charging since the previous status, an hour ago
+  state.since.time -= HOUR;
+  await device.setStoreValue('energy', state);
+  sts.vehicleStatus.evStatus.batteryStatus = state.soc + 11;
+  await device.handleInfo(await device.mapStatus(sts));
+  assert.strictEqual(device.getCapabilityValue('measure_power.charge'), 7040);
+  assert.strictEqual(device.getCapabilityValue('meter_power'), 7.04);
+  assert.strictEqual(device.getStoreValue('energy').meter, 0); // nothing metered
+  // another half hour of charging adds up
+  const next = device.getStoreValue('energy');
+  next.time -= HOUR / 2;
+  next.since.time -= HOUR / 2;
+  await device.setStoreValue('energy', next);
+  sts.vehicleStatus.evStatus.batteryStatus = next.soc + 5;
+  await device.handleInfo(await device.mapStatus(sts));
+  assert.strictEqual(device.getCapabilityValue('measure_power.charge'), 6400);
+  assert.strictEqual(device.getCapabilityValue('meter_power'), 10.24);
+  assert.strictEqual(device.getApiStatus().batteryCapacity, 64);
+});
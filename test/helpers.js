@@ -0,0 +1,139 @@
+'use strict';
+
+const Module = require('module');
+const path = require('path');
+const util = require('util');
+const settingsGroups = require('../drivers/car/driver.settings.compose.json');
+
+// resolve require('homey') to the stand-in
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolve(request, ...args) {
+  if (request === 'homey') return path.join(__dirname, 'homey.js');
+  return resolveFilename.call(this, request, ...args);
+};
+
+// load the app modules with waits that resolve right away, so retries and command waits don't take minutes
+const realSetTimeout = global.setTimeout;
+const fastSetTimeout = (fn, ms, ...args) => realSetTimeout(fn, 0, ...args);
+fastSetTimeout[util.promisify.custom] = (ms, value) => new Promise((resolve) => setImmediate(resolve, value));
+global.setTimeout = fastSetTimeout;
+const AccountManager = require('../lib/account_manager');
+const CredentialStore = require('../lib/credentials');
+const CarDriver = require('../drivers/car/driver');
+const CarDevice = require('../drivers/car/device');
+const geo = require('../lib/nomatim');
+const simulator = require('../lib/simulator');
+const recordings = require('../lib/simulator_recordings.json');
+
+global.setTimeout = realSetTimeout;
+
+// app settings kept in memory
+const createSettings = () => {
+  const values = {};
+  return {
+    values,
+    get: (key) => (values[key] === undefined ? null : JSON.parse(JSON.stringify(values[key]))),
+    set: (key, value) => {
+      values[key] = JSON.parse(JSON.stringify(value));
+    },
+  };
+};
+
+const LOGIN = {
+  brand: 'kia', region: 'EU', username: 'sim@example.com', password: 'secret', pin: '1234',
+};
+
+// the homey instance of the driver and device
+const createHomey = () => {
+  const triggers = [];
+  const settings = createSettings();
+  return {
+    triggers,
+    settings,
+    app: { accounts: new AccountManager('simulator'), credentials: new CredentialStore(settings, 'test') },
+    __: (key) => key,
+    manifest: { id: 'com.kia' },
+    clock: { getTimezone: () => 'Europe/Amsterdam' },
+    geolocation: { getLatitude: () => 52.3731, getLongitude: () => 4.8922 },
+    flow: {
+      getDeviceTriggerCard: (id) => ({
+        trigger: async (device, tokens, state) => {
+          triggers.push({ id, tokens, state });
+          return true;
+        },
+      }),
+    },
+    // timers of the device (polling, charge plan) are not run in tests
+    setTimeout: () => null,
+    clearTimeout: () => null,
+    setInterval: () => null,
+    clearInterval: () => null,
+  };
+};
+
+// no reverse geocoding from tests
+geo.getCarLocString = async () => ({ local: 'Simcity', address: 'Simulated street 1, Simcity' });
+
+// default values from the device settings
+const settingsDefaults = () => {
+  const defaults = {};
+  settingsGroups.forEach((group) => group.children.forEach((setting) => {
+    defaults[setting.id] = setting.value;
+  }));
+  return defaults;
+};
+
+// wait until the command queue of the device is empty
+const waitForQueue = async (device) => {
+  for (let i = 0; i < 1000; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+    if (!device.queueRunning && !device.busy) return;
+  }
+  throw Error('queue did not finish');
+};
+
+// create and init a car device for one of the simulated vehicles. Cars created with the same homey share the app,
+// and with the same driver they know each other. The login is in the credential store, like after pairing.
+const createDevice = async ({
+  vin = 'SIMKNA0000000001', engine = 'Full EV', settings = {}, homey = createHomey(), driver = new CarDriver(), login = LOGIN,
+} = {}) => {
+  if (!driver.homey) {
+    driver.homey = homey; // eslint-disable-line no-param-reassign
+    await driver.onInit();
+  }
+  const device = new CarDevice({
+    driver,
+    homey,
+    settings: {
+      ...settingsDefaults(),
+      accountId: homey.app.credentials.save(login),
+      username: 's***@example.com',
+      vin,
+      engine,
+      lat: 52.3731,
+      lon: 4.8922,
+      ...settings,
+    },
+    capabilities: driver.capabilitiesMap[engine],
+    data: { id: vin },
+  });
+  driver.devices = [...driver.getDevices(), device]; // eslint-disable-line no-param-reassign
+  await device.onInit();
+  await waitForQueue(device);
+  return device;
+};
+
+const triggered = (device, id) => device.homey.triggers.filter((trigger) => trigger.id === id);
+
+module.exports = {
+  createDevice,
+  createHomey,
+  LOGIN,
+  waitForQueue,
+  triggered,
+  simulator,
+  recordings,
+  AccountManager,
+  CarDevice,
+  CarDriver,
+};
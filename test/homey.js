@@ -0,0 +1,124 @@
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+// Minimal stand-in for the Homey Apps SDK, enough to run the car driver and device against the simulator.
+const STATE = Symbol('state');
+
+class Device {
+
+  constructor({
+    driver, homey, settings = {}, store = {}, capabilities = [], data = {}, name = 'Simulated car',
+  } = {}) {
+    this.driver = driver;
+    this.homey = homey;
+    this.settingsValues = { ...settings };
+    this.storeValues = JSON.parse(JSON.stringify(store));
+    this.capabilities = [...capabilities];
+    this.data = data;
+    this.name = name;
+    this.available = true;
+    this.logs = [];
+    this[STATE] = {};
+    // bound like in Homey, so they can be passed as callbacks
+    this.log = this.log.bind(this);
+    this.error = this.error.bind(this);
+  }
+
+  log(...args) {
+    this.logs.push(args);
+  }
+
+  error(...args) {
+    this.logs.push(['error', ...args]);
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getSettings() {
+    return { ...this.settingsValues };
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settingsValues, settings);
+  }
+
+  getStoreValue(key) {
+    return this.storeValues[key] === undefined ? null : JSON.parse(JSON.stringify(this.storeValues[key]));
+  }
+
+  async setStoreValue(key, value) {
+    this.storeValues[key] = JSON.parse(JSON.stringify(value));
+  }
+
+  async unsetStoreValue(key) {
+    delete this.storeValues[key];
+  }
+
+  getCapabilities() {
+    return [...this.capabilities];
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  async addCapability(capability) {
+    this.capabilities.push(capability);
+  }
+
+  async removeCapability(capability) {
+    this.capabilities = this.capabilities.filter((cap) => cap !== capability);
+    delete this[STATE][capability];
+  }
+
+  getCapabilityValue(capability) {
+    return this[STATE][capability] === undefined ? null : this[STATE][capability];
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.hasCapability(capability)) throw Error(`Invalid capability: ${capability}`);
+    this[STATE][capability] = value;
+  }
+
+  registerCapabilityListener() {}
+
+  registerMultipleCapabilityListener() {}
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+  }
+
+  async setUnavailable() {
+    this.available = false;
+  }
+
+}
+
+class Driver {
+
+  log() {}
+
+  error() {}
+
+  getDevices() {
+    return this.devices || [];
+  }
+
+}
+
+class App {}
+
+module.exports = {
+  Device, Driver, App, env: { CLIENT_MODE: 'simulator' },
+};
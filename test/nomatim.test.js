@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const https = require('https');
+const geo = require('../lib/nomatim');
+
+// answer the https requests of the geocoder without network
+const requests = [];
+let reply = () => ({ statusCode: 200, body: {} });
+https.request = (options, callback) => {
+  const req = new EventEmitter();
+  req.destroy = () => null;
+  req.end = () => {
+    requests.push({ ...options, time: Date.now() });
+    const { statusCode, body } = reply(options);
+    const res = new EventEmitter();
+    Object.assign(res, { statusCode, headers: { 'content-type': 'application/json; charset=utf-8' }, complete: true });
+    callback(res);
+    res.emit('data', JSON.stringify(body));
+    res.emit('end');
+  };
+  return req;
+};
+
+const nominatimReply = () => ({
+  statusCode: 200,
+  body: { display_name: 'Dam 1, Amsterdam, Nederland', address: { road: 'Dam', city: 'Amsterdam' } },
+});
+
+const store = () => {
+  const settings = {};
+  return {
+    get: (key) => settings[key],
+    set: (key, value) => {
+      settings[key] = value;
+    },
+  };
+};
+
+const dam = { latitude: 52.37310, longitude: 4.89220 };
+const places = [{
+  name: 'Office', latitude: 52.0907, longitude: 5.1214, radius: 200,
+}];
+
+test('sends the User-Agent as a header, and caches the address of a location', async () => {
+  geo.clearCache();
+  geo.setup({ store: store(), userAgent: 'Homey com.kia/1.0.0' });
+  reply = nominatimReply;
+  requests.length = 0;
+  const first = await geo.getCarLocString(dam);
+  assert.deepStrictEqual(first, { local: 'Amsterdam', address: 'Dam 1, Amsterdam, Nederland' });
+  assert.strictEqual(requests[0].headers['User-Agent'], 'Homey com.kia/1.0.0');
+  assert.strictEqual(requests[0].hostname, 'nominatim.openstreetmap.org');
+  // a few meters further is the same cache entry
+  assert.deepStrictEqual(await geo.getCarLocString({ latitude: 52.37312, longitude: 4.89221 }), first);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('keeps the cache in the store', async () => {
+  const settings = store();
+  geo.clearCache();
+  geo.setup({ store: settings });
+  reply = nominatimReply;
+  await geo.getCarLocString(dam);
+  assert.strictEqual(settings.get('geoCache').length, 1);
+  geo.clearCache();
+  settings.set('geoCache', [['52.3731,4.8922', { time: Date.now(), local: 'Stored', address: 'Stored address' }]]);
+  geo.setup({ store: settings });
+  requests.length = 0;
+  assert.strictEqual((await geo.getCarLocString(dam)).local, 'Stored');
+  assert.strictEqual(requests.length, 0);
+});
+
+test('waits a second between requests', async () => {
+  geo.clearCache();
+  reply = nominatimReply;
+  requests.length = 0;
+  await Promise.all([
+    geo.getCarLocString({ latitude: 52.1, longitude: 4.1 }),
+    geo.getCarLocString({ latitude: 52.2, longitude: 4.2 }),
+  ]);
+  assert.strictEqual(requests.length, 2);
+  assert.ok(requests[1].time - requests[0].time >= 990, `${requests[1].time - requests[0].time} ms`);
+});
+
+test('falls back to a known place or the coordinates without network', async () => {
+  geo.clearCache();
+  reply = () => ({ statusCode: 503, body: {} });
+  assert.deepStrictEqual(await geo.getCarLocString({ latitude: 52.0908, longitude: 5.1215 }, { places }), {
+    local: 'Office', address: 'Office',
+  });
+  assert.deepStrictEqual(await geo.getCarLocString(dam, { places }), { local: '52.37310, 4.89220', address: '52.37310, 4.89220' });
+  // no requests at all with known places only
+  requests.length = 0;
+  assert.strictEqual((await geo.getCarLocString({ latitude: 52.0908, longitude: 5.1215 }, { provider: 'places', places })).local, 'Office');
+  assert.strictEqual((await geo.search('office', { provider: 'places', places })).lat, '52.0907');
+  assert.strictEqual(requests.length, 0);
+});
+
+test('uses a self-hosted Photon server', async () => {
+  geo.clearCache();
+  reply = () => ({
+    statusCode: 200,
+    body: {
+      features: [{
+        geometry: { coordinates: [4.8922, 52.3731] },
+        properties: {
+          name: 'Nationaal Monument', street: 'Dam', postcode: '1012JS', city: 'Amsterdam', country: 'Nederland',
+        },
+      }],
+    },
+  });
+  requests.length = 0;
+  const options = { provider: 'photon', url: 'https://photon.example.com/geo/' };
+  const loc = await geo.getCarLocString(dam, options);
+  assert.deepStrictEqual(loc, { local: 'Amsterdam', address: 'Nationaal Monument, Dam, 1012JS, Amsterdam, Nederland' });
+  assert.strictEqual(requests[0].hostname, 'photon.example.com');
+  assert.ok(requests[0].path.startsWith('/geo/reverse?lat=52.3731&lon=4.8922'), requests[0].path);
+  const dest = await geo.search('Nationaal Monument', options);
+  assert.deepStrictEqual([dest.lat, dest.lon, dest.namedetails.name], ['52.3731', '4.8922', 'Nationaal Monument']);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const openings = require('../lib/openings');
+const {
+  createDevice, waitForQueue, triggered, recordings,
+} = require('./helpers');
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+test('reads the openings of a legacy status', () => {
+  const sts = clone(recordings.vehicles[0].recording[0].vehicleStatus);
+  assert.deepStrictEqual(openings.openItems(openings.parseOpenings(sts)), []);
+  sts.doorOpen.backRight = 1;
+  sts.hoodOpen = true;
+  const open = openings.openItems(openings.parseOpenings(sts));
+  assert.deepStrictEqual(open, ['door_rear_right', 'hood']);
+  assert.strictEqual(openings.formatOpenings(open), 'rear right door, hood');
+  assert.strictEqual(openings.parseOpenings(sts).sunroof, undefined); // not reported by this car
+});
+
+test('reads the openings of a ccuCCS2 status', () => {
+  const sts = clone(recordings.vehicles[1].recording[0]);
+  sts.Cabin.Window.Row1.Passenger.Open = 1;
+  sts.Body.Sunroof.Glass.Open = 1;
+  const open = openings.openItems(openings.parseOpenings(sts));
+  assert.deepStrictEqual(open, ['window_front_right', 'sunroof']);
+});
+
+test('an open door means not closed and locked', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  assert.strictEqual((await device.mapStatus(sts)).closed_locked, true);
+  sts.vehicleStatus.doorOpen.frontLeft = 1;
+  const map = await device.mapStatus(sts);
+  assert.strictEqual(map.closed_locked, false);
+  assert.strictEqual(map.openings, 'driver door');
+});
+
+test('names what was left open after parking, and locks after the grace period', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  let autoLock;
+  device.homey.setTimeout = (fn) => {
+    autoLock = fn;
+    return 1;
+  };
+  device.vehicle.advance(); // driving
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  device.vehicle.advance(); // parked at the office with the trunk and a window open
+  device.vehicle.setLock(false);
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  const [leftOpen] = triggered(device, 'left_open');
+  assert.deepStrictEqual(leftOpen.tokens, {
+    openings: 'rear left window, trunk', doors: false, windows: true, trunk: true, hood: false, sunroof: false,
+  });
+  assert.strictEqual(device.getCapabilityValue('openings'), 'rear left window, trunk');
+  assert.strictEqual(device.isOpen('trunk'), true);
+  assert.strictEqual(device.isOpen('hood'), false);
+  assert.strictEqual(device.isOpen('any'), true);
+
+  // same openings on the next poll don't trigger again
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(triggered(device, 'left_open').length, 1);
+
+  assert.strictEqual(device.autoLock(5, 'test'), true);
+  device.vehicle.calls.length = 0;
+  autoLock();
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls[0].command, 'lock');
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+});
+
+test('reports each opening once while others stay open', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  const poll = async () => device.handleInfo(await device.mapStatus(sts));
+  sts.vehicleStatus.engine = false;
+  sts.vehicleStatus.trunkOpen = true;
+  sts.vehicleStatus.windowOpen.backLeft = 1;
+  await poll();
+  assert.strictEqual(triggered(device, 'left_open').length, 1);
+
+  sts.vehicleStatus.windowOpen.backLeft = 0; // the window is closed, the trunk stays open
+  await poll();
+  assert.strictEqual(triggered(device, 'left_open').length, 1);
+  assert.deepStrictEqual(device.getStoreValue('leftOpenReported'), ['trunk']);
+
+  sts.vehicleStatus.doorOpen.frontLeft = 1;
+  await poll();
+  const leftOpen = triggered(device, 'left_open');
+  assert.strictEqual(leftOpen.length, 2);
+  assert.deepStrictEqual(leftOpen[1].tokens, {
+    openings: 'driver door', doors: true, windows: false, trunk: false, hood: false, sunroof: false,
+  });
+  assert.strictEqual(device.getCapabilityValue('openings'), 'driver door, trunk');
+
+  sts.vehicleStatus.trunkOpen = false;
+  await poll();
+  sts.vehicleStatus.trunkOpen = true; // opened again
+  await poll();
+  assert.strictEqual(triggered(device, 'left_open').length, 3);
+});
+
+test('reports what stays open after the car is parked', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  const poll = async () => device.handleInfo(await device.mapStatus(sts));
+  sts.vehicleStatus.engine = true;
+  sts.vehicleStatus.windowOpen.frontLeft = 1;
+  await poll();
+  assert.strictEqual(triggered(device, 'left_open').length, 0); // driving with the window open
+  sts.vehicleStatus.engine = false;
+  await poll();
+  assert.strictEqual(triggered(device, 'left_open')[0].tokens.openings, 'driver window');
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const outcomes = require('../lib/outcomes');
+const { createDevice, waitForQueue, triggered } = require('./helpers');
+
+test('expects the states that a command leads to', () => {
+  const status = {
+    locked: false, climate_control: false, defrost: false, charge: false, charge_target_slow: '80', charge_target_fast: '90',
+  };
+  assert.deepStrictEqual(outcomes.expectedOutcome('lock', undefined, status), { locked: true });
+  assert.deepStrictEqual(outcomes.expectedOutcome('start', { defrost: true }, status), { climate_control: true, defrost: true });
+  assert.deepStrictEqual(outcomes.expectedOutcome('start', { defrost: false }, status), { climate_control: true });
+  assert.deepStrictEqual(outcomes.expectedOutcome('setChargeTargets', { slow: 70, fast: 100 }, status), {
+    charge_target_slow: '70', charge_target_fast: '100',
+  });
+  // not in the status of this car, or no outcome in the status at all
+  assert.strictEqual(outcomes.expectedOutcome('setDischargeLimit', 30, status), null);
+  assert.strictEqual(outcomes.expectedOutcome('setNavigation', [], status), null);
+  assert.strictEqual(outcomes.expectedOutcome('doPoll', {}, status), null);
+
+  const expected = { climate_control: false, defrost: false };
+  const open = outcomes.unmet(expected, { climate_control: true, defrost: false });
+  assert.deepStrictEqual(open, ['climate_control']);
+  assert.strictEqual(outcomes.formatStates(open, { climate_control: true }), 'climate_control true');
+  assert.strictEqual(outcomes.backoff(0), 30 * 1000);
+  assert.strictEqual(outcomes.backoff(9), 120 * 1000);
+});
+
+test('a command is confirmed by the next status of the car', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  const [confirmed] = triggered(device, 'command_confirmed');
+  assert.strictEqual(confirmed.tokens.command, 'unlock');
+  assert.deepStrictEqual(device.confirmations, []);
+  assert.strictEqual(device.getCapabilityValue('locked'), false);
+});
+
+test('polls with backoff, and rolls back a command that the car does not follow', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => {
+    timers.push({ fn, ms });
+    return timers.length;
+  };
+  device.vehicle.ignoreNext('unlock');
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  // accepted by the server, but the car stays locked: the requested state is held while it is checked
+  assert.strictEqual(triggered(device, 'command_succeeded')[0].tokens.command, 'unlock');
+  assert.strictEqual(triggered(device, 'command_confirmed').length, 0);
+  assert.strictEqual(device.getCapabilityValue('locked'), false);
+  assert.deepStrictEqual(device.getDiagnostics().unconfirmed, ['unlock']);
+
+  device.vehicle.calls.length = 0;
+  timers.shift().fn(); // after 30 seconds
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls[0].command, 'fullStatus');
+  assert.strictEqual(device.getCapabilityValue('locked'), false);
+  assert.strictEqual(timers[0].ms, 60 * 1000);
+
+  device.confirmations[0].time -= outcomes.TIMEOUT;
+  timers.shift().fn();
+  await waitForQueue(device);
+  const [failed] = triggered(device, 'command_not_confirmed');
+  assert.deepStrictEqual(failed.tokens, { command: 'unlock', state: 'locked true' });
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+  assert.deepStrictEqual(device.confirmations, []);
+});
+
+test('checks the cached status, and wakes up the car once before the timeout', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => {
+    timers.push({ fn, ms });
+    return timers.length;
+  };
+  device.vehicle.ignoreNext('unlock');
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  const polls = [];
+  for (let i = 0; i < 4; i += 1) {
+    device.confirmations[0].time -= timers[0].ms; // the time of the poll has come
+    device.vehicle.calls.length = 0;
+    timers.shift().fn();
+    await waitForQueue(device);
+    polls.push(!!device.vehicle.calls.find((call) => call.command === 'fullStatus').args.refresh);
+  }
+  assert.deepStrictEqual(polls, [false, false, false, true]); // 30, 60, 120 and 90 seconds
+  assert.strictEqual(triggered(device, 'command_not_confirmed').length, 1); // the car did not unlock
+  assert.deepStrictEqual(device.confirmations, []);
+});
+
+test('does not wake up the car to confirm a command when the budget is low', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => {
+    timers.push({ fn, ms });
+    return timers.length;
+  };
+  device.vehicle.ignoreNext('unlock');
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  device.account.requests.push(...Array(Math.ceil(device.account.budget * 0.6)).fill(Date.now()));
+  device.confirmations[0].time -= outcomes.TIMEOUT - 10 * 1000;
+  timers.pop();
+  device.scheduleConfirmationPoll(); // the last poll, 10 seconds before the timeout
+  device.vehicle.calls.length = 0;
+  timers.shift().fn();
+  await waitForQueue(device);
+  assert.strictEqual(!!device.vehicle.calls.find((call) => call.command === 'fullStatus').args.refresh, false);
+});
+
+test('fails on the last status when the polls do not get through', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => {
+    timers.push({ fn, ms });
+    return timers.length;
+  };
+  device.vehicle.ignoreNext('unlock');
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  device.confirmations[0].time -= outcomes.TIMEOUT;
+  timers.pop(); // the next poll, planned before the timeout
+  device.scheduleConfirmationPoll();
+  const last = timers.pop();
+  assert.strictEqual(last.ms, 60 * 1000);
+  device.vehicle.calls.length = 0;
+  last.fn();
+  await waitForQueue(device);
+  assert.deepStrictEqual(device.vehicle.calls, []);
+  assert.strictEqual(triggered(device, 'command_not_confirmed').length, 1);
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+  assert.strictEqual(timers.length, 0);
+});
+
+test('climate off is shown when the car status confirms it', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  device.defrostOnOff(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.getCapabilityValue('defrost'), true);
+  device.acOnOff(false, 'test');
+  assert.strictEqual(device.getCapabilityValue('defrost'), true); // not before the car did it
+  await waitForQueue(device);
+  assert.strictEqual(device.getCapabilityValue('defrost'), false);
+  assert.strictEqual(device.getCapabilityValue('climate_control'), false);
+  assert.deepStrictEqual(triggered(device, 'command_confirmed').map((trigger) => trigger.tokens.command), ['start', 'stop']);
+});
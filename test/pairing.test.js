@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+  createDevice, createHomey, waitForQueue, CarDriver,
+} = require('./helpers');
+const SimulatedVehicle = require('../lib/simulated_vehicle');
+
+const CREDENTIALS = {
+  region: 'EU', username: 'sim@example.com', password: 'secret', pin: '1234',
+};
+
+// the pair or repair session of Homey, with the handlers the views call
+const createSession = () => {
+  const handlers = {};
+  return {
+    handlers,
+    setHandler: (event, handler) => {
+      handlers[event] = handler;
+    },
+  };
+};
+
+const createDriver = async () => {
+  const driver = new CarDriver();
+  driver.homey = createHomey();
+  await driver.onInit();
+  return driver;
+};
+
+// wait until the restart of the device is done
+const waitForRestart = async (device) => {
+  for (let i = 0; i < 1000 && device.restarting !== false; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await waitForQueue(device);
+};
+
+test('lists every car with its engine type', async () => {
+  const driver = await createDriver();
+  const session = createSession();
+  driver.onPair(session);
+  assert.strictEqual(await session.handlers.validate(CREDENTIALS), true);
+  const checks = await session.handlers.get_vehicles();
+  assert.deepStrictEqual(checks.map((check) => [check.vin, check.engine, check.error]), [
+    ['SIMKNA0000000001', 'Full EV', null],
+    ['SIMKNA0000000002', 'Full EV ccuCCS2', null],
+  ]);
+  const devices = await session.handlers.list_devices();
+  assert.deepStrictEqual(devices.map((device) => device.settings.engine), ['Full EV', 'Full EV ccuCCS2']);
+  assert.deepStrictEqual(devices[1].capabilities, driver.capabilitiesMap['Full EV ccuCCS2']);
+  // the login is in the credential store, not in the settings of the cars
+  const { accountId, username, password } = devices[0].settings;
+  assert.strictEqual(username, 's***@example.com');
+  assert.strictEqual(password, undefined);
+  assert.strictEqual(driver.homey.app.credentials.get(accountId).password, 'secret');
+});
+
+test('a car that does not respond is skipped', async () => {
+  const { status } = SimulatedVehicle.prototype;
+  SimulatedVehicle.prototype.status = async function failingStatus(...args) {
+    if (this.vehicleConfig.vin === 'SIMKNA0000000002') throw SimulatedVehicle.serverError(5091);
+    return status.apply(this, args);
+  };
+  const driver = await createDriver();
+  const session = createSession();
+  driver.onPair(session);
+  await session.handlers.validate(CREDENTIALS);
+  const checks = await session.handlers.get_vehicles();
+  assert.match(checks[1].error, /Exceeds number of requests/);
+  const devices = await session.handlers.list_devices();
+  SimulatedVehicle.prototype.status = status;
+  assert.deepStrictEqual(devices.map((device) => device.data.id), ['SIMKNA0000000001']);
+});
+
+test('pairing fails on an invalid PIN or login', async () => {
+  const driver = await createDriver();
+  const session = createSession();
+  driver.onPair(session);
+  await assert.rejects(session.handlers.validate({ ...CREDENTIALS, pin: '12' }), /pair.invalid_pin/);
+  await assert.rejects(session.handlers.validate({ ...CREDENTIALS, password: '' }), /pair.pairing_failed/);
+});
+
+test('repair stores the new login once for all cars on the account', async () => {
+  const homey = createHomey();
+  const driver = new CarDriver();
+  const device = await createDevice({ homey, driver });
+  const other = await createDevice({
+    homey, driver, vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2',
+  });
+  const session = createSession();
+  driver.onRepair(session, device);
+  assert.deepStrictEqual(await session.handlers.get_settings(), { region: 'EU', username: 'sim@example.com' });
+  await assert.rejects(session.handlers.validate({ ...CREDENTIALS, pin: '12' }), /pair.invalid_pin/);
+  const { accountId } = device.getSettings();
+  assert.strictEqual(homey.app.credentials.get(accountId).pin, '1234');
+  // only a new password, the PIN is left blank
+  assert.strictEqual(await session.handlers.validate({ ...CREDENTIALS, password: 'new secret', pin: '' }), true);
+  assert.strictEqual(homey.app.credentials.get(accountId).password, 'new secret');
+  assert.strictEqual(homey.app.credentials.get(accountId).pin, '1234');
+  await waitForRestart(device);
+  await waitForRestart(other);
+  assert.strictEqual(device.getDiagnostics().lastRestart.reason, 'credentials repaired');
+  assert.strictEqual(other.getDiagnostics().lastRestart.reason, 'credentials repaired');
+  assert.strictEqual(device.account.options.password, 'new secret');
+});
+
+test('a new PIN in the settings is checked before it is saved', async () => {
+  const device = await createDevice();
+  await assert.rejects(device.onSettings({
+    oldSettings: device.getSettings(),
+    newSettings: { ...device.getSettings(), pin: '12' },
+    changedKeys: ['pin'],
+  }), /pair.invalid_pin/);
+  assert.strictEqual(device.restarting, false);
+});
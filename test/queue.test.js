@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+  createDevice, waitForQueue, triggered, CarDevice,
+} = require('./helpers');
+
+// a new device for the same car, like after an app restart, with the store of the old one
+const restart = async (device) => {
+  await device.onUninit();
+  device.flushQueue();
+  const restarted = new CarDevice({
+    driver: device.driver,
+    homey: device.homey,
+    settings: device.getSettings(),
+    store: device.storeValues,
+    capabilities: device.getCapabilities(),
+    data: device.getData(),
+  });
+  await restarted.onInit();
+  return restarted;
+};
+
+test('restores the waiting user commands after a restart', async () => {
+  const device = await createDevice();
+  device.queueRunning = true; // hold the queue
+  device.enQueue({ command: 'lock' });
+  device.enQueue({ command: 'updateTrips', args: { batteryUsed: 3 } });
+  device.enQueue({ command: 'startCharge' });
+  assert.deepStrictEqual(device.getStoreValue('queue').map((item) => item.command), ['lock', 'startCharge']);
+
+  const restarted = await restart(device);
+  await waitForQueue(restarted);
+  const commands = restarted.vehicle.calls.map((call) => call.command);
+  assert.ok(commands.indexOf('lock') >= 0 && commands.indexOf('lock') < commands.indexOf('startCharge'));
+  assert.deepStrictEqual(triggered(restarted, 'command_succeeded').map((trigger) => trigger.tokens.command), ['lock', 'startCharge']);
+  assert.deepStrictEqual(restarted.getStoreValue('queue'), []);
+});
+
+test('merges a background command with the same one that is waiting', async () => {
+  const device = await createDevice();
+  device.queueRunning = true;
+  device.enQueue({ command: 'updateTrips', args: { batteryUsed: 3 } });
+  device.enQueue({ command: 'doPoll', args: { forceOnce: false, logPoll: true } });
+  device.enQueue({ command: 'updateTrips', args: { batteryUsed: 5 } });
+  device.enQueue({ command: 'doPoll', args: { forceOnce: true, logPoll: false } });
+  assert.deepStrictEqual(device.queue.map((item) => [item.command, item.args]), [
+    ['updateTrips', { batteryUsed: 5 }], // the newest value
+    ['doPoll', { forceOnce: true, logPoll: true }], // a flag that is set by either stays set
+  ]);
+  device.queueRunning = false;
+  await device.runQueue();
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls.filter((call) => call.command === 'fullStatus').length, 2); // and the poll after it
+});
+
+test('drops commands when the queue is full', async () => {
+  const device = await createDevice();
+  device.queueRunning = true;
+  for (let i = 0; i < 20; i += 1) device.enQueue({ command: i % 2 ? 'lock' : 'unlock' });
+  device.enQueue({ command: 'startCharge' });
+  device.enQueue({ command: 'doPoll', args: { forceOnce: true } });
+  assert.strictEqual(device.queue.length, 20);
+  assert.ok(!device.queue.some((item) => ['startCharge', 'doPoll'].includes(item.command)));
+  const failed = triggered(device, 'command_failed');
+  assert.deepStrictEqual(failed.map((trigger) => trigger.tokens), [{ command: 'startCharge', error: 'queue overflow' }]);
+  assert.ok(device.logs.some((log) => log[0] === 'error' && log[1] === 'queue overflow'));
+});
+
+test('does not run user commands that waited too long', async () => {
+  const device = await createDevice();
+  device.queueRunning = true;
+  device.enQueue({ command: 'unlock' });
+  device.enQueue({ command: 'startCharge' });
+  const queue = device.getStoreValue('queue');
+  queue[0].added -= 31 * 60 * 1000; // the unlock waited for more than 30 minutes
+  await device.setStoreValue('queue', queue);
+
+  const restarted = await restart(device);
+  await waitForQueue(restarted);
+  const commands = restarted.vehicle.calls.map((call) => call.command);
+  assert.ok(!commands.includes('unlock'));
+  assert.ok(commands.includes('startCharge'));
+  const [failed] = triggered(restarted, 'command_failed');
+  assert.deepStrictEqual(failed.tokens, { command: 'unlock', error: 'command expired' });
+  assert.strictEqual(restarted.getCapabilityValue('locked'), true);
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const rangePlanner = require('../lib/range_planner');
+const geo = require('../lib/nomatim');
+const { createDevice } = require('./helpers');
+
+const amsterdam = { latitude: 52.3731, longitude: 4.8922 };
+const utrecht = { latitude: 52.0907, longitude: 5.1214 };
+
+test('computes the road distance there and back', () => {
+  const distance = rangePlanner.roundTrip(amsterdam, utrecht, 1);
+  assert.ok(distance > 68 && distance < 72, `${distance}`);
+  assert.strictEqual(rangePlanner.roundTrip(amsterdam, utrecht, 1.5), Math.round(distance * 1.5 * 10) / 10);
+});
+
+test('projects the range to the charge target only when plugged in', () => {
+  assert.strictEqual(rangePlanner.projectedRange({
+    range: 200, soc: 50, target: 80, pluggedIn: true,
+  }), 320);
+  assert.strictEqual(rangePlanner.projectedRange({
+    range: 200, soc: 50, target: 80, pluggedIn: false,
+  }), 200);
+  assert.strictEqual(rangePlanner.projectedRange({
+    range: 200, soc: 90, target: 80, pluggedIn: true,
+  }), 200);
+});
+
+test('reports the SoC needed and a charge target for a trip', () => {
+  const trip = rangePlanner.checkTrip({
+    distance: 250, range: 200, soc: 50, target: 80, pluggedIn: false, reserve: 20,
+  });
+  assert.deepStrictEqual(trip, {
+    distance: 250, range: 200, reachable: false, socNeeded: 68, chargeTarget: 70,
+  });
+  const plugged = rangePlanner.checkTrip({
+    distance: 250, range: 200, soc: 50, target: 80, pluggedIn: true, reserve: 20,
+  });
+  assert.strictEqual(plugged.reachable, true);
+  const tooFar = rangePlanner.checkTrip({
+    distance: 900, range: 200, soc: 50, reserve: 20,
+  });
+  assert.strictEqual(tooFar.chargeTarget, 100);
+  assert.strictEqual(tooFar.reachable, false);
+  // no SoC for a car without EV battery
+  const fuel = rangePlanner.checkTrip({ distance: 300, range: 600, reserve: 20 });
+  assert.deepStrictEqual([fuel.reachable, fuel.socNeeded, fuel.chargeTarget], [true, null, null]);
+  assert.throws(() => rangePlanner.checkTrip({ distance: 300, range: null }), /range of the car is not known/);
+});
+
+test('checks a trip from the location of the car', async () => {
+  const { search } = geo;
+  geo.search = async (query) => ({ lat: `${utrecht.latitude}`, lon: `${utrecht.longitude}`, display_name: `${query}, Nederland` });
+  try {
+    const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+    const trip = await device.checkTrip('Utrecht');
+    assert.strictEqual(trip.destination, 'Utrecht, Nederland');
+    assert.strictEqual(trip.range, 400); // plugged in, 320 km at 64% projected to the 80% target
+    assert.strictEqual(trip.reachable, true);
+    assert.strictEqual(trip.soc_needed, Math.ceil((trip.distance + 20) / 5));
+    assert.strictEqual(trip.charge_target, 50);
+  } finally {
+    geo.search = search;
+  }
+});
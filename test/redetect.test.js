@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+  createDevice, waitForQueue, CarDriver, recordings,
+} = require('./helpers');
+
+// wait until the restart of the device is done
+const waitForRestart = async (device) => {
+  for (let i = 0; i < 1000 && device.restarting !== false; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await waitForQueue(device);
+};
+
+test('detects the engine type from a raw status', () => {
+  const driver = new CarDriver();
+  const [legacy, ccs2] = recordings.vehicles;
+  assert.strictEqual(driver.detectEngine(legacy.recording[0].vehicleStatus, legacy.vehicleConfig), 'Full EV');
+  assert.strictEqual(driver.detectEngine(ccs2.recording[0], ccs2.vehicleConfig), 'Full EV ccuCCS2');
+  assert.strictEqual(driver.detectEngine({ dte: { value: 500 } }, {}), 'HEV/ICE');
+  assert.strictEqual(driver.detectEngine({ evStatus: {}, fuelLevel: 40 }, {}), 'PHEV');
+});
+
+test('re-detects a car that moved to ccuCCS2 and keeps the capability values', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV' });
+  const odo = device.getCapabilityValue('measure_odo');
+  assert.ok(odo > 0);
+  assert.strictEqual(device.hasCapability('measure_tire_pressure.front_left'), false);
+  const result = await device.redetectVehicle('test');
+  assert.deepStrictEqual(result, { engine: 'Full EV ccuCCS2', changed: true });
+  assert.strictEqual(device.getSettings().engine, 'Full EV ccuCCS2');
+  await waitForRestart(device);
+  assert.deepStrictEqual(device.getCapabilities(), device.driver.capabilitiesMap['Full EV ccuCCS2']);
+  assert.strictEqual(device.getCapabilityValue('measure_odo'), odo);
+  assert.strictEqual(device.getDiagnostics().lastRestart.reason, 'vehicle re-detected as Full EV ccuCCS2');
+});
+
+test('leaves a correctly detected car alone', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  assert.deepStrictEqual(await device.redetectVehicle('test'), { engine: 'Full EV', changed: false });
+  assert.strictEqual(device.restarting, false);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const climate = require('../lib/climate');
+const { simulator } = require('./helpers');
+
+const createClient = () => new simulator.SimulatedClient({ username: 'sim@example.com', password: 'secret', latency: 0 });
+
+const getVehicles = async (client) => {
+  const ready = new Promise((resolve) => client.once('ready', resolve));
+  await client.login();
+  return ready;
+};
+
+test('simulator login emits the recorded vehicles', async () => {
+  const vehicles = await getVehicles(createClient());
+  assert.deepStrictEqual(vehicles.map((vehicle) => vehicle.vehicleConfig.ccuCCS2ProtocolSupport), [false, true]);
+  assert.ok(vehicles.every((vehicle) => vehicle.vehicleConfig.vin));
+});
+
+test('simulator login fails without credentials, like BlueLinky: emits the error and resolves', async () => {
+  const client = new simulator.SimulatedClient({ latency: 0 });
+  const errors = [];
+  client.on('error', (error) => errors.push(error));
+  client.on('ready', () => assert.fail('no vehicles without a login'));
+  assert.match(await client.login(), /login failed/);
+  assert.strictEqual(errors.length, 1);
+  // without an error listener, the emit throws and the login rejects, as with BlueLinky
+  await assert.rejects(new simulator.SimulatedClient({ latency: 0 }).login(), /login failed/);
+});
+
+test('legacy vehicle replays vehicleStatus/time payloads', async () => {
+  const [legacy] = await getVehicles(createClient());
+  const first = await legacy.fullStatus({ refresh: false, parsed: false });
+  assert.strictEqual(first.vehicleStatus.time, '20250702071500');
+  assert.ok(first.vehicleLocation.coord);
+  const cached = await legacy.status({ refresh: false, parsed: false });
+  assert.strictEqual(cached.time, '20250702071500');
+  assert.strictEqual(legacy.advance(), true);
+  const refreshed = await legacy.status({ refresh: true, parsed: false });
+  assert.strictEqual(refreshed.time, '20250702081000');
+  assert.strictEqual(refreshed.engine, true);
+});
+
+test('ccuCCS2 vehicle replays Date payloads', async () => {
+  const [, ccs2] = await getVehicles(createClient());
+  const first = await ccs2.status({ refresh: false, parsed: false });
+  assert.strictEqual(first.Date, '20250702071500.120');
+  ccs2.advance();
+  const refreshed = await ccs2.status({ refresh: true, parsed: false });
+  assert.strictEqual(refreshed.DrivingReady, 1);
+  const location = await ccs2.location();
+  assert.strictEqual(location.latitude, refreshed.Location.GeoCoord.Latitude);
+  ccs2.advance();
+  assert.strictEqual(ccs2.advance(), false); // end of the recording
+});
+
+test('commands change the simulated car state', async () => {
+  const [legacy, ccs2] = await getVehicles(createClient());
+  await legacy.unlock();
+  assert.strictEqual((await legacy.status({})).doorLock, false);
+  await legacy.stopCharge();
+  assert.strictEqual((await legacy.status({})).evStatus.batteryCharge, false);
+  await climate.writeStart(ccs2, { temperature: 20 });
+  assert.strictEqual((await ccs2.status({})).Cabin.HVAC.Row1.Driver.Temperature.Value, '20');
+  await ccs2.setChargeTargets({ fast: 90, slow: 70 });
+  assert.deepStrictEqual((await ccs2.status({})).Green.ChargingInformation.TargetSoC, { Standard: 70, Quick: 90 });
+});
+
+test('injected server errors are thrown and emitted like BlueLinky errors', async () => {
+  const client = createClient();
+  const [legacy] = await getVehicles(client);
+  const errors = [];
+  client.on('error', (error) => errors.push(error));
+  legacy.failNext('lock', 4004);
+  legacy.failNext('status', 5091);
+  await assert.rejects(legacy.lock(), /"resCode":"4004"/);
+  await legacy.lock();
+  await assert.rejects(legacy.status({}), /"resCode":"5091"/);
+  assert.strictEqual(errors.length, 2);
+  assert.deepStrictEqual(legacy.calls.map((call) => call.command), ['lock', 'lock', 'status']);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const snapshots = require('../lib/snapshots');
+const api = require('../api');
+const { createDevice, waitForQueue } = require('./helpers');
+
+test('redacts credentials and identifiers at any depth', () => {
+  const redacted = snapshots.redact({
+    username: 'sim@example.com',
+    config: { VIN: 'KNA123', pin: '1234', list: [{ accessToken: 'abc' }] },
+    empty: { password: '' },
+    odometer: 8120,
+  });
+  assert.deepStrictEqual(redacted, {
+    username: '***',
+    config: { VIN: '***', pin: '***', list: [{ accessToken: '***' }] },
+    empty: { password: '' },
+    odometer: 8120,
+  });
+});
+
+test('lists the changed capabilities', () => {
+  const changes = snapshots.diff({ locked: false, measure_odo: 8120 }, { locked: true, measure_odo: 8120, Date: 'x' }, ['locked', 'measure_odo']);
+  assert.deepStrictEqual(changes, [{ capability: 'locked', from: false, to: true }]);
+  assert.strictEqual(snapshots.formatDiff(changes), 'locked false > true');
+});
+
+test('keeps the last snapshots', () => {
+  let buffer = null;
+  [1, 2, 3, 4].forEach((n) => {
+    buffer = snapshots.addSnapshot(buffer, n, 3);
+  });
+  assert.deepStrictEqual(buffer, [2, 3, 4]);
+  assert.deepStrictEqual(snapshots.addSnapshot(buffer, 5, 0), []);
+});
+
+test('records a snapshot per poll and exports them without credentials', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV', settings: { snapshotCount: 3 } });
+  device.vehicle.advance(); // driving
+  for (let i = 0; i < 3; i += 1) {
+    device.refreshStatus(true, 'test');
+    await waitForQueue(device);
+  }
+  const exported = await api.getSnapshots({
+    homey: { app: { getDevice: (id) => (id === 'SIMKNA0000000001' ? device : null) } },
+    params: { id: 'SIMKNA0000000001' },
+  });
+  assert.strictEqual(exported.snapshots.length, 3);
+  const last = exported.snapshots[2];
+  assert.strictEqual(last.reason, 'status refresh from the car');
+  assert.ok(last.raw.vehicleStatus, 'raw payload');
+  assert.strictEqual(last.mapped.measure_odo, device.getCapabilityValue('measure_odo'));
+  const text = JSON.stringify(exported);
+  ['SIMKNA0000000001', 'secret', 'sim@example.com'].forEach((secret) => assert.ok(!text.includes(secret), secret));
+  assert.ok(device.logs.some((line) => /changed by status refresh from the car: .*engine false > true/.test(line[0])));
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const convert = require('../lib/temp_convert');
+const climate = require('../lib/climate');
+const {
+  createDevice, waitForQueue, recordings, LOGIN,
+} = require('./helpers');
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+test('every code converts to its temperature and back', () => {
+  ['C', 'F'].forEach((unit) => {
+    const { min, max, codes } = convert.TABLES[unit];
+    codes.forEach(({ temperature, code }) => {
+      assert.strictEqual(convert.getTempCode(temperature, unit), code);
+      const expected = { LO: min, HI: max }[temperature] ?? temperature;
+      assert.strictEqual(convert.getTempFromCode(code, unit), expected);
+    });
+  });
+  assert.strictEqual(convert.TABLES.C.codes.length, 33);
+  assert.strictEqual(convert.TABLES.F.codes.length, 23);
+});
+
+test('reads the Celsius codes', () => {
+  assert.strictEqual(convert.getTempCode(15), '02H');
+  assert.strictEqual(convert.getTempCode(22.5), '11H');
+  assert.strictEqual(convert.getTempFromCode('11H'), 22.5); // was read as 22
+  assert.strictEqual(convert.getTempFromCode('20H'), 30);
+  assert.strictEqual(convert.getTempFromCode('01H'), 15); // LO
+  assert.strictEqual(convert.getTempFromCode('00H'), null); // off
+  assert.throws(() => convert.getTempCode(22.3), /out of bounds/);
+  assert.throws(() => convert.getTempFromCode('30H'), /not a °C temperature code/);
+});
+
+test('reads the Fahrenheit codes', () => {
+  assert.strictEqual(convert.getTempCode(72, 'F'), '72');
+  assert.strictEqual(convert.getTempCode('lo', 'F'), 'LO');
+  assert.strictEqual(convert.getTempFromCode('HI', 'F'), 82);
+  assert.throws(() => convert.getTempCode(90, 'F'), /max: 82°F/);
+  assert.throws(() => convert.getTempCode(20, 'K'), /Invalid temperature unit/);
+});
+
+test('converts between Homey Celsius and the unit of the car', () => {
+  assert.strictEqual(convert.fromCelsius(22, 'F'), 72);
+  assert.strictEqual(convert.fromCelsius(21.5, 'F'), 71);
+  assert.strictEqual(convert.fromCelsius(15, 'F'), 'LO');
+  assert.strictEqual(convert.fromCelsius(30, 'F'), 'HI');
+  assert.strictEqual(convert.fromCelsius(22.4), 22.5);
+  assert.strictEqual(convert.toCelsius(72, 'F'), 22);
+  assert.strictEqual(convert.toCelsius('HI', 'F'), 28);
+  assert.strictEqual(convert.toCelsius(21.5), 21.5);
+  // every Fahrenheit temperature survives the trip through Celsius
+  convert.TABLES.F.codes.filter(({ temperature }) => typeof temperature === 'number').forEach(({ temperature }) => {
+    assert.strictEqual(convert.fromCelsius(convert.toCelsius(temperature, 'F'), 'F'), temperature);
+  });
+});
+
+test('the unit follows the region unless it is set', () => {
+  assert.strictEqual(convert.unitFor('EU'), 'C');
+  assert.strictEqual(convert.unitFor('US'), 'F');
+  assert.strictEqual(convert.unitFor('CA', 'auto'), 'F');
+  assert.strictEqual(convert.unitFor('US', 'C'), 'C');
+  assert.strictEqual(convert.serverUnit({ value: '72', unit: 1 }), 'F');
+  assert.strictEqual(climate.startArgs({ temperature: 22 }, true, 'F').hvacTemp, 72);
+  assert.deepStrictEqual(climate.startArgs({ temperature: 22 }, false, 'F').unit, 'F');
+});
+
+test('a Fahrenheit car reports and gets its temperature in Celsius on Homey', async () => {
+  const device = await createDevice({ settings: { temperatureUnit: 'F' } });
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  sts.vehicleStatus.airCtrlOn = true;
+  sts.vehicleStatus.airTemp = { value: '70', unit: 1 };
+  const info = await device.mapStatus(sts);
+  assert.strictEqual(info.target_temperature, 21);
+  device.setCapabilityValue('climate_control', true);
+  device.vehicle.calls.length = 0;
+  assert.strictEqual(device.setTargetTemp(24, 'flow'), true);
+  await waitForQueue(device);
+  const start = device.vehicle.calls.find((call) => call.command === 'start');
+  assert.strictEqual(start.args.tempCode, convert.getTempCode(75, 'F'));
+  assert.strictEqual(start.args.unit, 'F');
+});
+
+test('the target temperature is read in the unit that the car reports, not the display setting', async () => {
+  const device = await createDevice({ settings: { temperatureUnit: 'F' } });
+  const sts = clone(recordings.vehicles[0].recording[0]);
+  sts.vehicleStatus.airCtrlOn = true;
+  sts.vehicleStatus.airTemp = { value: '0EH', unit: 0 };
+  assert.strictEqual((await device.mapStatus(sts)).target_temperature, 21);
+});
+
+test('a US car gets its climate start in Fahrenheit, with HI above its range', async () => {
+  const device = await createDevice({ login: { ...LOGIN, region: 'US' }, settings: { region: 'US', temperatureUnit: 'auto' } });
+  assert.strictEqual(device.tempUnit, 'F');
+  await device.setCapabilityValue('target_temperature', 22);
+  assert.strictEqual(device.acOnOff(true, 'test'), true);
+  await waitForQueue(device);
+  assert.strictEqual(device.setTargetTemp(30, 'test'), true);
+  await waitForQueue(device);
+  const [on, hot] = device.vehicle.calls.filter((call) => call.command === 'start').map((call) => call.args);
+  assert.strictEqual(on.temperature, 72);
+  assert.strictEqual(on.unit, 'F');
+  assert.strictEqual(hot.temperature, 'HI');
+  // the car reports the code of its unit, and Homey shows it in Celsius
+  const { airTemp } = await device.vehicle.status({});
+  assert.strictEqual(airTemp.value, 'HI');
+  assert.strictEqual(airTemp.unit, 1);
+  assert.strictEqual(device.getCapabilityValue('climate_control'), true);
+  assert.strictEqual(device.getCapabilityValue('target_temperature'), 28);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { createDevice, waitForQueue, triggered } = require('./helpers');
+
+// the relock timer of a timed unlock, among the shorter timers of the command confirmation polls
+const captureRelock = (device) => {
+  const timers = [];
+  device.homey.setTimeout = (fn, ms) => {
+    timers.push({ fn, ms });
+    return timers.length;
+  };
+  return () => timers.find((timer) => timer.ms > 2 * 60 * 1000);
+};
+
+test('unlocks for a while at home, and locks again after it', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const relockTimer = captureRelock(device);
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+  device.vehicle.calls.length = 0;
+  assert.strictEqual(device.unlockFor(10, 'test'), true);
+  await waitForQueue(device);
+  assert.deepStrictEqual(device.vehicle.calls.map((call) => call.command).slice(0, 2), ['unlock', 'fullStatus']);
+  assert.strictEqual(device.timedUnlock.confirmed, true);
+  const relock = relockTimer();
+  assert.ok(relock.ms > 9 * 60 * 1000 && relock.ms <= 10 * 60 * 1000);
+
+  device.vehicle.calls.length = 0;
+  relock.fn();
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls[0].command, 'lock');
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+  assert.strictEqual(device.timedUnlock, null);
+});
+
+test('a timed unlock is not locked again when a door was opened', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const relockTimer = captureRelock(device);
+  device.unlockFor(5, 'test');
+  await waitForQueue(device);
+  device.vehicle.state.vehicleStatus.doorOpen.backLeft = 1; // the parcel is put on the back seat
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  device.vehicle.state.vehicleStatus.doorOpen.backLeft = 0;
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  device.vehicle.calls.length = 0;
+  relockTimer().fn();
+  await waitForQueue(device);
+  assert.deepStrictEqual(device.vehicle.calls, []);
+  assert.strictEqual(device.getCapabilityValue('locked'), false);
+});
+
+test('the relock stays planned when the car does not confirm the unlock', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  const relockTimer = captureRelock(device);
+  device.vehicle.ignoreNext('unlock');
+  device.unlockFor(10, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.timedUnlock.confirmed, false);
+  assert.ok(relockTimer());
+
+  // the car unlocks late after all
+  device.vehicle.setLock(false);
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.timedUnlock.confirmed, true);
+  device.vehicle.calls.length = 0;
+  relockTimer().fn();
+  await waitForQueue(device);
+  assert.strictEqual(device.vehicle.calls[0].command, 'lock');
+  assert.strictEqual(device.getCapabilityValue('locked'), true);
+});
+
+test('no timed unlock while driving or away from home', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  await device.setCapabilityValue('meter_distance', 12.5);
+  assert.match(device.unlockFor(10, 'test').message, /not at home/);
+  await device.setCapabilityValue('meter_distance', 0);
+  await device.setCapabilityValue('engine', true);
+  assert.match(device.unlockFor(10, 'test').message, /engine is on/);
+  await device.setCapabilityValue('engine', false);
+  assert.match(device.unlockFor(0, 'test').message, /Invalid unlock period/);
+  await waitForQueue(device);
+  assert.ok(!device.vehicle.calls.some((call) => call.command === 'unlock'));
+});
+
+test('triggers when the car is unlocked too long', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000001', engine: 'Full EV' });
+  device.lock(false, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(triggered(device, 'unlocked_too_long').length, 0);
+  device.unlockedSince.time -= 31 * 60 * 1000;
+  device.refreshStatus(true, 'test');
+  await waitForQueue(device);
+  const [tooLong] = triggered(device, 'unlocked_too_long');
+  assert.deepStrictEqual(tooLong.tokens, { minutes: 31, openings: 'closed' });
+  assert.deepStrictEqual(tooLong.state, { minutes: 31, previous: 0 });
+
+  // locking starts over
+  device.lock(true, 'test');
+  await waitForQueue(device);
+  assert.strictEqual(device.unlockedSince, null);
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const tripLog = require('../lib/trip_log');
+
+// a day of trips as returned by bluelinky tripInfo({ year, month, day })
+const dayTrips = [
+  {
+    dayRaw: '20250731',
+    tripsCount: 2,
+    distance: 42,
+    durations: { drive: 55, idle: 5 },
+    speed: { avg: 46, max: 120 },
+    trips: [
+      {
+        timeRaw: '174500',
+        start: new Date('2025-07-31T15:45:00.000Z'),
+        end: new Date('2025-07-31T16:20:00.000Z'),
+        durations: { drive: 35, idle: 3 },
+        speed: { avg: 45, max: 120 },
+        distance: 26.4,
+      },
+      {
+        timeRaw: '081300',
+        start: new Date('2025-07-31T06:13:00.000Z'),
+        end: new Date('2025-07-31T06:35:00.000Z'),
+        durations: { drive: 20, idle: 2 },
+        speed: { avg: 47, max: 96 },
+        distance: 15.6,
+      },
+    ],
+  },
+];
+
+const trip = (day, distance) => ({
+  day, distance, duration: 10, energy: 1.5,
+});
+
+test('parses the bluelinky trip info to a flat list of trips', () => {
+  const trips = tripLog.parseDayTrips(dayTrips);
+  assert.deepStrictEqual(trips.map((t) => t.id), ['20250731081300', '20250731174500']); // oldest first
+  assert.deepStrictEqual(trips[1], {
+    id: '20250731174500',
+    day: '20250731',
+    start: '2025-07-31T15:45:00.000Z',
+    end: '2025-07-31T16:20:00.000Z',
+    distance: 26.4,
+    duration: 35,
+    idle: 3,
+    speedAvg: 45,
+    speedMax: 120,
+    energy: 0,
+    batteryUsed: 0,
+  });
+});
+
+test('parses trips with missing details, and no trip info at all', () => {
+  const [parsed] = tripLog.parseDayTrips([{ dayRaw: '20250801', trips: [{ timeRaw: '090000', distance: '12' }] }, null, {}]);
+  assert.strictEqual(parsed.start, null);
+  assert.strictEqual(parsed.distance, 12);
+  assert.strictEqual(parsed.duration, 0);
+  assert.deepStrictEqual(tripLog.parseDayTrips(undefined), []);
+  assert.deepStrictEqual(tripLog.parseDayTrips({ trips: [] }), []);
+});
+
+test('shares the energy and battery use over the trips by distance', () => {
+  const trips = tripLog.addEnergy(tripLog.parseDayTrips(dayTrips), { economy: 6, batteryUsed: 10 });
+  assert.deepStrictEqual(trips.map((t) => t.energy), [2.6, 4.4]);
+  assert.deepStrictEqual(trips.map((t) => t.batteryUsed), [3.7, 6.3]);
+});
+
+test('adds trips to the daily and monthly totals over a month end', () => {
+  let totals;
+  totals = tripLog.addToTotals(totals, trip('20250731', 20.2));
+  totals = tripLog.addToTotals(totals, trip('20250731', 10));
+  totals = tripLog.addToTotals(totals, trip('20250801', 5.5));
+  assert.deepStrictEqual(tripLog.getTotals(totals, '20250731'), {
+    trips: 2, distance: 30.2, duration: 20, energy: 3,
+  });
+  assert.deepStrictEqual(tripLog.getTotals(totals, '202507'), {
+    trips: 2, distance: 30.2, duration: 20, energy: 3,
+  });
+  assert.deepStrictEqual(tripLog.getTotals(totals, '202508'), {
+    trips: 1, distance: 5.5, duration: 10, energy: 1.5,
+  });
+  assert.deepStrictEqual(tripLog.getTotals(totals, '20250802'), {
+    trips: 0, distance: 0, duration: 0, energy: 0,
+  });
+  // over the year end
+  totals = tripLog.addToTotals(totals, trip('20260101', 1));
+  assert.strictEqual(tripLog.getTotals(totals, '202512').trips, 0);
+  assert.strictEqual(tripLog.getTotals(totals, '202601').trips, 1);
+});
+
+test('keeps a limited number of days and months', () => {
+  let totals;
+  for (let month = 1; month <= 12; month += 1) {
+    for (let day = 1; day <= 28; day += 7) {
+      totals = tripLog.addToTotals(totals, trip(`2024${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`, 1));
+      totals = tripLog.addToTotals(totals, trip(`2025${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`, 1));
+    }
+  }
+  assert.strictEqual(Object.keys(totals.days).length, 62);
+  assert.strictEqual(Object.keys(totals.months).length, 24);
+  assert.strictEqual(tripLog.getTotals(totals, '202401').trips, 4);
+  totals = tripLog.addToTotals(totals, trip('20260101', 1));
+  assert.strictEqual(Object.keys(totals.months).length, 24);
+  assert.strictEqual(tripLog.getTotals(totals, '202401').trips, 0); // the oldest month is dropped
+  assert.strictEqual(tripLog.getTotals(totals, '20240101').trips, 0);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const tyres = require('../lib/tyres');
+const { createDevice, triggered, recordings } = require('./helpers');
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+test('reads the tire lamps of a legacy status', () => {
+  const sts = clone(recordings.vehicles[0].recording[0].vehicleStatus);
+  assert.strictEqual(tyres.formatTyres(tyres.parseTyres(sts)), 'ok');
+  sts.tirePressureLamp.tirePressureLampAll = 1;
+  sts.tirePressureLamp.tirePressureLampRL = 1;
+  const tireState = tyres.parseTyres(sts);
+  assert.strictEqual(tireState.alarm, true);
+  assert.deepStrictEqual(tyres.lowWheels(tireState), ['rear_left']);
+  assert.strictEqual(tyres.formatTyres(tireState), 'rear left low');
+  assert.strictEqual(tireState.wheels.rear_left.pressure, undefined); // not reported by the legacy protocol
+});
+
+test('reads the tire pressures of a ccuCCS2 status', () => {
+  const sts = clone(recordings.vehicles[1].recording[0]);
+  let tireState = tyres.parseTyres(sts);
+  assert.strictEqual(tireState.alarm, false);
+  assert.strictEqual(tireState.wheels.front_left.pressure, 2.48); // 36 psi
+  sts.Chassis.Axle.Row1.Right.Tire.PressureLow = 1;
+  sts.Chassis.Axle.Row2.Left.Tire.PressureLow = 1;
+  tireState = tyres.parseTyres(sts);
+  assert.strictEqual(tireState.alarm, true);
+  assert.strictEqual(tyres.formatTyres(tireState), 'front right, rear left low');
+});
+
+test('an alarm without wheel detail is still reported', () => {
+  const sts = clone(recordings.vehicles[1].recording[0]);
+  sts.Chassis.Axle.Tire.PressureLow = 1;
+  assert.strictEqual(tyres.formatTyres(tyres.parseTyres(sts)), 'low');
+});
+
+test('triggers with the low wheel and pressures', async () => {
+  const device = await createDevice({ vin: 'SIMKNA0000000002', engine: 'Full EV ccuCCS2' });
+  assert.strictEqual(device.getCapabilityValue('measure_tire_pressure.rear_right'), 2.41);
+  assert.strictEqual(device.getCapabilityValue('tire_pressure'), 'ok');
+  const sts = clone(recordings.vehicles[1].recording[0]);
+  sts.Chassis.Axle.Row2.Left.Tire.PressureLow = 1;
+  sts.Chassis.Axle.Row2.Left.Tire.Pressure = 28;
+  const info = await device.mapStatus(sts);
+  await device.handleInfo(info);
+  await device.handleInfo(info); // no new trigger for the same wheel
+  const lowTriggers = triggered(device, 'tire_pressure_low');
+  assert.strictEqual(lowTriggers.length, 1);
+  assert.deepStrictEqual(lowTriggers[0].tokens, {
+    wheels: 'rear left low',
+    front_left: false,
+    front_right: false,
+    rear_left: true,
+    rear_right: false,
+    pressure_front_left: 2.48,
+    pressure_front_right: 2.48,
+    pressure_rear_left: 1.93,
+    pressure_rear_right: 2.41,
+  });
+  assert.strictEqual(device.getCapabilityValue('alarm_tire_pressure'), true);
+  assert.strictEqual(device.getCapabilityValue('tire_pressure'), 'rear left low');
+});
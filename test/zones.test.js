@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const geofence = require('../lib/zones');
+const {
+  createDevice, recordings, triggered,
+} = require('./helpers');
+
+// a degree of latitude is about 111.2 km
+const INSIDE = 0.00089; // 99 m north
+const OUTSIDE = 0.00091; // 101 m north
+
+test('parses zones with a default radius', () => {
+  const zones = geofence.parseZones('Office, 52.3, 4.94, 200\r\n\nGym,52.35,4.9');
+  assert.deepStrictEqual(zones, [
+    {
+      name: 'Office', latitude: 52.3, longitude: 4.94, radius: 200,
+    },
+    {
+      name: 'Gym', latitude: 52.35, longitude: 4.9, radius: 100,
+    },
+  ]);
+  assert.deepStrictEqual(geofence.parseZones(''), []);
+  assert.throws(() => geofence.parseZones('Office, 52.3'), /line 1/);
+  assert.throws(() => geofence.parseZones('Gym, 52.35, 4.9\nOffice, 95, 4.94'), /line 2/);
+  assert.throws(() => geofence.parseZones('Gym, 52.35, 4.9, 0'), /Invalid zone/);
+  assert.throws(() => geofence.parseZones('Gym, 52.35, 4.9\ngym, 52.3, 4.94'), /Duplicate zone name: gym/);
+});
+
+test('a zone holds the locations up to its radius', () => {
+  const zones = geofence.parseZones('Gym, 52.35, 4.9, 100\nPark, 52.351, 4.9, 500');
+  assert.deepStrictEqual(geofence.getZonesAt({ latitude: 52.35 + INSIDE, longitude: 4.9 }, zones), ['Park', 'Gym']); // nearest first
+  assert.deepStrictEqual(geofence.getZonesAt({ latitude: 52.35 - OUTSIDE, longitude: 4.9 }, zones), ['Park']);
+  assert.deepStrictEqual(geofence.getZonesAt({ latitude: 0, longitude: 0 }, zones), []);
+  assert.deepStrictEqual(geofence.getZonesAt({ latitude: null, longitude: 4.9 }, zones), []);
+});
+
+test('enters and leaves a zone at the edge of its radius', async () => {
+  const device = await createDevice({ settings: { zones: 'Gym, 52.35, 4.9, 100' } });
+  const info = await device.mapStatus(recordings.vehicles[0].recording[0]);
+  const at = (latitude) => device.handleInfo({ ...info, latitude, longitude: 4.9 });
+  await at(52.35 + OUTSIDE);
+  device.homey.triggers.length = 0;
+
+  await at(52.35 + INSIDE);
+  assert.deepStrictEqual(triggered(device, 'zone_entered').map((trigger) => trigger.tokens.zone), ['Gym']);
+  assert.deepStrictEqual(device.getStoreValue('currentZones'), ['Gym']);
+
+  await at(52.35 - INSIDE); // still inside on the other side
+  assert.strictEqual(triggered(device, 'zone_left').length, 0);
+
+  await at(52.35 - OUTSIDE);
+  assert.deepStrictEqual(triggered(device, 'zone_left').map((trigger) => trigger.tokens.zone), ['Gym']);
+  assert.strictEqual(triggered(device, 'zone_entered').length, 1);
+  assert.deepStrictEqual(device.getStoreValue('currentZones'), []);
+});